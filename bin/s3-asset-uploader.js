@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * Command line entry point
+ * @see lib/cli.js
+ */
+
+const cli = require('../lib/cli')
+
+cli.main(process.argv.slice(2))
+.then(exitCode => {
+  process.exitCode = exitCode
+})
@@ -5,105 +5,485 @@
  */
 
 // Node imports
+const { EventEmitter } = require('events')
 const fs = require('fs')
 const path = require('path')
 // NPM imports
 const debug = require('debug')('s3-asset-uploader')
-const AWS = require('aws-sdk')
 const Bluebird = require('bluebird')
 // Lib imports
 const directoryLib = require('./lib/directory')
 const fileLib = require('./lib/file')
+const globLib = require('./lib/glob')
+const graphLib = require('./lib/graph')
 const hashLib = require('./lib/hash')
+const ignoreLib = require('./lib/ignore')
+const manifestLib = require('./lib/manifest')
+const retryLib = require('./lib/retry')
+const stateLib = require('./lib/state')
+const storageLib = require('./lib/storage')
 const streamLib = require('./lib/stream')
 const transformLib = require('./lib/transform')
+const watchLib = require('./lib/watch')
 
 const FILE_EXTENSION_REGEXP = /((\.\w+)?\.\w+)$/
-const HASHED_FILENAME_REGEXP = /(-[0-9a-f]{32})((\.\w+)+)$/
+const HASHED_FILENAME_EXTENSION_PATTERN = '((\\.\\w+)+)$'
 const DEFAULT_ACL = 'public-read'
+const DEFAULT_CONCURRENCY = 1
 const DEFAULT_DIGEST_FILE_NAME = 'asset-map.json'
+const DEFAULT_DIGEST_HISTORY_LENGTH = 10
+const DEFAULT_PRUNE_KEEP_DIGESTS = 3
+const DEFAULT_RETRIES = 3
+const DEFAULT_RETRY_BASE_DELAY = 100 // milliseconds
+const DEFAULT_RETRY_MAX_DELAY = 10 * 1000 // milliseconds
+const DEFAULT_WATCH_DEBOUNCE = 300 // milliseconds
+const DIGEST_HISTORY_ACL = 'private'
+const SOURCE_MAP_PRIVATE_ACL = 'private'
+const RELEASE_DIGEST_CACHE_CONTROL = `max-age=${365*24*60*60}, immutable` // 1 year (in seconds)
+const RELEASE_ID_SEPARATOR_REGEXP = /[-:.]/g
+const DIGEST_FILE_EXTENSION_REGEXP = /(\.json)?$/
+const TRAILING_SLASH_REGEXP = /\/?$/
+const MULTIPART_ETAG_REGEXP = /-\d+$/
+const DEFAULT_HASHED_HEADERS = {
+  'CacheControl': `public, max-age=${365*24*60*60}, immutable` // 1 year (in seconds)
+}
+const DEFAULT_ORIGINAL_HEADERS = {
+  'CacheControl': 'no-cache'
+}
+const DEFAULT_DIGEST_HEADERS = {
+  'CacheControl': 'no-cache'
+}
 const DEFAULT_GZIP_CACHE_CONTROL = `max-age=${365*24*60*60}` // 1 year (in seconds)
 const DEFAULT_GZIP_HEADERS = {
   'ContentEncoding': 'gzip',
   'CacheControl': DEFAULT_GZIP_CACHE_CONTROL
 }
+const DEFAULT_BROTLI_HEADERS = {
+  'ContentEncoding': 'br',
+  'CacheControl': DEFAULT_GZIP_CACHE_CONTROL
+}
+const BROTLI_FILE_EXTENSION = '.br'
+const GZIP_FILE_EXTENSION = '.gz'
+const CONTENT_HASH_METADATA_KEY = 'content-md5-hash'
+/** @type {Array.<('ContentType'|'ContentEncoding'|'CacheControl')>} */
+const VERIFIED_HEADER_NAMES = ['ContentType', 'ContentEncoding', 'CacheControl']
+
+/** @typedef {import('aws-sdk').S3} S3 */
+/** @typedef {import('aws-sdk').S3.BucketName} S3BucketName */
+/** @typedef {import('aws-sdk').S3.CacheControl} S3CacheControl */
+/** @typedef {import('aws-sdk').S3.CompleteMultipartUploadOutput} S3CompleteMultipartUploadOutput */
+/** @typedef {import('aws-sdk').S3.ContentDisposition} S3ContentDisposition */
+/** @typedef {import('aws-sdk').S3.ContentEncoding} S3ContentEncoding */
+/** @typedef {import('aws-sdk').S3.ContentType} S3ContentType */
+/** @typedef {import('aws-sdk').S3.ETag} S3ETag */
+/** @typedef {import('aws-sdk').S3.Metadata} S3Metadata */
+/** @typedef {import('aws-sdk').S3.Object} S3Object */
+/** @typedef {import('aws-sdk').S3.ObjectCannedACL} S3ObjectCannedACL */
+/** @typedef {import('aws-sdk').S3.ObjectKey} S3ObjectKey */
+/** @typedef {import('aws-sdk').S3.PutObjectRequest} S3PutObjectRequest */
+/** @typedef {import('aws-sdk').S3.SSEKMSKeyId} S3SSEKMSKeyId */
+/** @typedef {import('aws-sdk').S3.ServerSideEncryption} S3ServerSideEncryption */
+/** @typedef {import('aws-sdk').S3.StorageClass} S3StorageClass */
+/** @typedef {import('aws-sdk').S3.TaggingHeader} S3TaggingHeader */
 
 /**
  * The configuration Object passed into the `S3Sync` constructor
  * @typedef {Object} S3SyncConfig
  * @property {string} [key] - your AWS access key ID
  * @property {string} [secret] - your AWS secret access key
- * @property {AWS.S3.BucketName} bucket - the name of the destination AWS S3 bucket
+ * @property {S3BucketName} [bucket] - the name of the destination AWS S3 bucket (required for S3)
+ * @property {S3} [client] - use this `AWS.S3` client rather than constructing one
+ * @property {string} [endpoint] - a custom endpoint, e.g. for an S3-compatible server
+ * @property {boolean} [forcePathStyle] - use path-style (rather than virtual-host) URLs
+ * @property {string} [region] - the AWS region of the bucket
+ * @property {string} [localPath] - store objects in this local directory rather than S3
+ * @property {storageLib.StorageAdapter} [storage] - a custom storage backend
+ * @property {number} [partSize] - upload objects larger than this many bytes to S3 in parts of this size
  */
 
 /**
  * The options Object passed into the `S3Sync` constructor
  * @typedef {Object} S3SyncOptions
- * @property {string} path - the base path to synchronize with S3
+ * @property {string} [path] - the base path to synchronize with S3 (required without `sources`)
  * @property {Array.<RegExp|string>} [ignorePaths] - skip these paths when gathering files
- * @property {AWS.S3.ObjectKey} [digestFileKey] - the destination key of the generated digest file
+ * @property {Array.<S3SyncSource>} [sources] - more base paths to synchronize, into the same digest
+ * @property {Array.<string>} [include] - only gather the files matching these `.gitignore`-style patterns
+ * @property {Array.<string>} [exclude] - skip the paths matching these `.gitignore`-style patterns
+ * @property {boolean} [useIgnoreFile] - also skip the paths matching the patterns of the `.s3ignore` file of each base path
+ * @property {boolean} [ignoreDotfiles] - skip the files and directories with a name beginning with `.`
+ * @property {S3ObjectKey} [digestFileKey] - the destination key of the generated digest file
  * @property {string} [prefix] - prepended to all destination file names when uploaded
  * @property {S3UploadHeaders} [headers] - extra params used by `AWS.S3` upload method
+ * @property {S3UploadHeaders} [hashedHeaders] - extra params for hashed objects (overriding `headers`; default `CacheControl`: a year, immutable)
+ * @property {S3UploadHeaders} [originalHeaders] - extra params for original (unhashed) objects (overriding `headers`; default `CacheControl`: `no-cache`)
+ * @property {S3UploadHeaders} [digestHeaders] - extra params for the digest (and the other JSON files about the upload; default `CacheControl`: `no-cache`)
+ * @property {Array.<S3SyncHeaderRule>} [headerRules] - extra params for the files matching each rule, in order
  * @property {S3UploadHeaders} [gzipHeaders] - extra params used by `AWS.S3` upload method for GZIP files
  * @property {RegExp} [gzipHashedFileKeyRegexp] - gzip files when hashing them
+ * @property {S3UploadHeaders} [brotliHeaders] - extra params used by `AWS.S3` upload method for Brotli files
+ * @property {RegExp} [brotliHashedFileKeyRegexp] - add a Brotli variant (`.br`) of hashed files
  * @property {RegExp|boolean} [hashedOriginalFileRegexp] - respect hashes in original filenames
+ * @property {string} [hashAlgorithm] - the algorithm of the hashes in hashed file keys (default: `md5`)
+ * @property {hashLib.HashEncoding} [hashEncoding] - the encoding of the hashes in hashed file keys (default: `hex`)
+ * @property {number} [hashLength] - truncate the hashes in hashed file keys to this many characters
+ * @property {boolean} [integrity] - upload the Subresource Integrity of each digest entry
+ * @property {S3ObjectKey} [integrityFileKey] - the destination key of the integrity file
+ * @property {boolean} [htmlIntegrity] - add `integrity` attributes to the script and stylesheet tags of HTML files
+ * @property {boolean} [jsAssetUrls] - rewrite the quoted asset URLs (beginning with `jsPublicPath`) in JS files
+ * @property {string} [jsPublicPath] - the URL path the file names are served under (default: `/`)
+ * @property {S3SyncSourceMapOptions} [sourceMaps] - how source maps are rewritten, and where they are uploaded
+ * @property {Array.<transformLib.TransformDefinition>} [transforms] - custom transforms of the file contents,
+ *   applied after the built-in ones
+ * @property {Array.<manifestLib.ManifestWriter>} [manifests] - render the digest as these manifest files
  * @property {boolean} [includePseudoUnhashedOriginalFilesInDigest] - add pseudo-entries to the digest
- * @property {boolean} [forceUpload] - skip `shouldUpload` etag modified lookup for keys before uploading
+ * @property {boolean} [pairPrecompressedFiles] - treat `.gz`/`.br` siblings as encoding variants of their file
+ * @property {boolean} [forceUpload] - skip the etag modified lookup for keys before uploading
+ * @property {string} [stateFile] - cache the file hashes and uploaded ETags in this local file between runs
+ * @property {boolean} [verifyRemote] - compare keys with the remote objects even when `stateFile` says they are up to date
+ * @property {boolean} [prefetchRemoteState] - list the remote objects under `prefix` once, rather than looking up each key
  * @property {boolean} [noUpload] - don't upload anything, just generate a digest mapping
  * @property {boolean} [noUploadDigestFile] - don't upload the digest mapping file
  * @property {boolean} [noUploadOriginalFiles] - don't upload the original (unhashed) files
  * @property {boolean} [noUploadHashedFiles] - don't upload the hashed files
+ * @property {number} [concurrency] - the number of files to hash or upload at once
+ * @property {number} [hashConcurrency] - the number of files to hash at once (overrides `concurrency`)
+ * @property {number} [uploadConcurrency] - the number of files to upload at once (overrides `concurrency`)
+ * @property {number} [retries] - the number of times to retry a key after a retryable S3 error
+ * @property {number} [retryBaseDelay] - the delay (in milliseconds) before the first retry, doubled for each retry
+ * @property {number} [retryMaxDelay] - the maximum delay (in milliseconds) between retries
+ * @property {boolean} [continueOnError] - sync the other files after a key fails, then reject without uploading the digest
+ * @property {S3ObjectKey} [digestHistoryKey] - the destination key of the digest history file
+ * @property {number} [digestHistoryLength] - the number of digests kept in the digest history file
+ * @property {number} [pruneKeepDigests] - `prune` keeps the keys referenced by this many recent digests
+ * @property {number} [pruneMinAge] - `prune` only deletes keys last modified at least this many seconds ago
+ * @property {boolean} [pruneDryRun] - `prune` lists the keys it would delete, without deleting them
+ * @property {string} [release] - identifies the release created by `run` (default: a timestamp)
+ * @property {number} [watchDebounce] - `watch` waits until nothing has changed for this many milliseconds
+ */
+
+/**
+ * A base path to synchronize, besides (or instead of) `path`
+ * @typedef {Object} S3SyncSource
+ * @property {string} path
+ * @property {string} [prefix] - prepended to the names of its files in the digest (and so to their keys)
+ * @property {Array.<RegExp|string>} [ignorePaths] - skip these paths (relative to its `path`) when gathering files
+ * @property {S3UploadHeaders} [headers] - extra params for its files (overriding `headers`)
  */
 
 /** @typedef {string} AbsoluteFilePath */
 /** @typedef {string} RelativeFileName */
-/** @typedef {AWS.S3.ObjectKey} HashedS3Key */
+/** @typedef {S3ObjectKey} HashedS3Key */
 /** @typedef {Object.<RelativeFileName,HashedS3Key>} S3SyncDigest */
-/** @typedef {AWS.S3.PutObjectRequest} S3UploadParams */
-/** @typedef {AWS.S3.CompleteMultipartUploadOutput|void} S3UploadResult */
+/** @typedef {Object.<RelativeFileName,string>} S3SyncIntegrity */
+/** @typedef {manifestLib.RichDigest} S3SyncRichDigest */
+
+/**
+ * What is known about the content of a file (and so of its digest entries)
+ * @typedef {Object} S3SyncFileDetails
+ * @property {number} size - the size in bytes of the (decoded) content
+ * @property {S3ContentType} contentType
+ * @property {string} contentHash - the hash in the hashed key
+ * @property {string} integrity - the Subresource Integrity of the (decoded) content
+ */
+
+/**
+ * The digest entries and details of a file
+ * @typedef {Object} S3SyncFileEntries
+ * @property {Array.<[RelativeFileName,HashedS3Key]>} digestEntries
+ * @property {S3SyncFileDetails} [details]
+ */
+/** @typedef {S3PutObjectRequest} S3UploadParams */
+/** @typedef {S3CompleteMultipartUploadOutput|void} S3UploadResult */
+
+/**
+ * The body of an upload, and how to recognize it in the bucket
+ * @typedef {Object} S3UploadBody
+ * @property {function():Promise.<NodeJS.ReadableStream>} createBody - streams the body of the upload
+ * @property {S3ETag} etag - the ETag of the object once uploaded
+ * @property {string} contentHash - the MD5 hash of the body, also stored in the object metadata
+ */
+
+/**
+ * What is known about a remote object
+ * @typedef {Object} S3RemoteObjectState
+ * @property {S3ETag} etag
+ * @property {string} [contentHash] - from the object metadata, if it was uploaded with one
+ */
 
 /**
  * @typedef {Object} S3SyncFileResult
  * @property {string} filePath
  * @property {S3UploadResult} originalFile
  * @property {S3UploadResult} hashedFile
+ * @property {S3UploadResult} brotliFile
+ */
+
+/**
+ * An entry of the digest history file, which is also the index of releases
+ * @typedef {Object} S3SyncRelease
+ * @property {string} release - the release identifier
+ * @property {string} createdAt - ISO 8601 timestamp of the upload (or rollback)
+ * @property {S3ObjectKey} digestKey - the immutable copy of the release digest
+ * @property {S3SyncDigest} digest
+ * @property {boolean} [rollback] - this entry records a rollback to an earlier release
+ */
+
+/**
+ * @typedef {Object} S3SyncPruneResult
+ * @property {boolean} dryRun - when `true`, nothing was actually deleted
+ * @property {Array.<S3ObjectKey>} deletedKeys - the stale hashed keys
+ * @property {number} keptKeyCount - the number of keys referenced by the retained digests
+ */
+
+/**
+ * The report of `verify`
+ * @typedef {Object} S3SyncVerifyResult
+ * @property {boolean} ok - every key exists, with the expected content and headers
+ * @property {Array.<S3SyncVerifiedKey>} keys - the keys `run` uploads, sorted by key
+ * @property {Array.<S3ObjectKey>} extraKeys - the keys under `prefix` which neither the digest
+ *   nor the files about the upload (digest history, releases, integrity, manifests) reference
+ */
+
+/**
+ * @typedef {Object} S3SyncVerifiedKey
+ * @property {S3ObjectKey} key
+ * @property {'ok'|'missing'|'mismatch'} status
+ * @property {Array.<S3SyncVerifyMismatch>} mismatches
+ */
+
+/**
+ * @typedef {Object} S3SyncVerifyMismatch
+ * @property {string} field - `ETag` (or `contentHash`, for objects uploaded in parts),
+ *   `ContentType`, `ContentEncoding` or `CacheControl`
+ * @property {(string|null)} expected
+ * @property {(string|null)} actual
+ */
+
+/**
+ * Why a key is uploaded (`forceUpload`, `NotFound`, `Modified`, `digestFile`, ...),
+ * skipped (`NotModified`, `noUploadHashedFiles`, ...) or deleted (`stale`)
+ * @typedef {string} S3SyncActionReason
+ */
+
+/**
+ * An action planned by `plan`
+ * @typedef {Object} S3SyncAction
+ * @property {'upload'|'skip'|'delete'} action
+ * @property {S3ObjectKey} key
+ * @property {S3SyncActionReason} reason
+ * @property {number} [size] - the size in bytes of the uploaded body
+ * @property {S3ContentType} [contentType]
+ * @property {Object.<string,*>} [headers] - the upload params, except for the body
  */
 
 /**
  * Some (but not all) of the parameters needed for `S3UploadParams`
  * @typedef {Object} S3UploadHeaders
- * @property {AWS.S3.ObjectCannedACL} ACL
- * @property {AWS.S3.BucketName} Bucket
- * @property {AWS.S3.CacheControl} [CacheControl]
- * @property {AWS.S3.ContentType} ContentType
- * @property {AWS.S3.ContentEncoding} [ContentEncoding]
+ * @property {S3ObjectCannedACL} ACL
+ * @property {S3BucketName} Bucket
+ * @property {S3CacheControl} [CacheControl]
+ * @property {S3ContentType} ContentType
+ * @property {S3ContentEncoding} [ContentEncoding]
+ * @property {S3ContentDisposition} [ContentDisposition]
+ * @property {S3Metadata} [Metadata]
+ * @property {S3StorageClass} [StorageClass]
+ * @property {S3ServerSideEncryption} [ServerSideEncryption]
+ * @property {S3SSEKMSKeyId} [SSEKMSKeyId]
+ * @property {S3TaggingHeader} [Tagging] - URL query parameters, e.g. `team=web&kind=asset`
+ */
+
+/**
+ * Extra params for the files with a relative file name matching the rule
+ * @typedef {Object} S3SyncHeaderRule
+ * @property {globLib.PathPattern} match - a glob pattern (e.g. `fonts/**`) or a regular expression
+ * @property {S3UploadHeaders} headers
+ */
+
+/**
+ * How the source maps (`.js.map` and `.css.map` files) are rewritten, and where they are uploaded
+ * @typedef {Object} S3SyncSourceMapOptions
+ * @property {string} [sourceRoot] - replaces the `sourceRoot` of each source map (`''` removes it)
+ * @property {Array.<S3SyncSourceRewrite>} [rewriteSources] - applied in order to each of the `sources` of each source map
+ * @property {boolean} [stripSourcesContent] - removes the embedded sources (`sourcesContent`)
+ * @property {boolean} [private] - upload them with the `private` ACL
+ * @property {string} [prefix] - upload them under this prefix, rather than `prefix`
+ * @property {S3BucketName} [bucket] - upload them to this S3 bucket, rather than `bucket`
+ */
+
+/**
+ * @typedef {Object} S3SyncSourceRewrite
+ * @property {(RegExp|string)} pattern - a string is compiled to a `RegExp`
+ * @property {string} replacement - may refer to the groups of `pattern` (`$1`)
+ */
+
+/** @typedef {'hashed'|'original'} S3SyncObjectKind */
+
+/**
+ * @typedef {Object} S3SyncFileEvent
+ * @property {AbsoluteFilePath} filePath
+ */
+
+/**
+ * @typedef {Object} S3SyncFileHashedEvent
+ * @property {AbsoluteFilePath} filePath
+ * @property {S3ETag} hash - the hash of the original file
+ * @property {HashedS3Key} key - the hashed key of the file in the digest
+ */
+
+/**
+ * @typedef {Object} S3SyncUrlRewrittenEvent
+ * @property {AbsoluteFilePath} filePath - the JS file
+ * @property {string} url - as written in the file
+ * @property {string} replacement
+ */
+
+/**
+ * @typedef {Object} S3SyncUploadEvent
+ * @property {S3ObjectKey} key
+ * @property {S3SyncActionReason} reason
+ */
+
+/**
+ * @typedef {Object} S3SyncUploadProgressEvent
+ * @property {S3ObjectKey} key
+ * @property {number} loaded - the number of bytes uploaded so far
+ * @property {number} [total] - the number of bytes to upload, if known
+ */
+
+/**
+ * @typedef {Object} S3SyncUploadCompleteEvent
+ * @property {S3ObjectKey} key
+ * @property {S3SyncActionReason} reason
+ * @property {number} duration - milliseconds since the upload started
+ */
+
+/**
+ * @typedef {Object} S3SyncUploadFailedEvent
+ * @property {S3ObjectKey} key
+ * @property {Error} error
+ */
+
+/**
+ * A key which could not be synchronized
+ * @typedef {Object} S3SyncFailure
+ * @property {S3ObjectKey} key
+ * @property {AbsoluteFilePath} filePath
+ * @property {Error} error
+ */
+
+/**
+ * @typedef {Object} S3SyncDigestUploadedEvent
+ * @property {S3ObjectKey} key
+ * @property {string} release
+ * @property {S3SyncDigest} digest
+ * @property {S3SyncIntegrity} [integrity] - with the `integrity` option
+ */
+
+/**
+ * A cycle of `watch`: the initial run, or the sync of a batch of changes
+ * @typedef {Object} S3SyncWatchCycle
+ * @property {number} cycle - `0` for the initial run
+ * @property {Array.<AbsoluteFilePath>} changedFilePaths - including removed paths
+ * @property {Array.<AbsoluteFilePath>} syncedFilePaths - the changed files, and the files depending on them
+ * @property {S3SyncDigest} [digest] - unless the cycle failed
+ * @property {Error} [error] - why the cycle failed; its changes are synced again by the next cycle
+ * @property {number} duration - milliseconds
+ */
+
+/**
+ * @typedef {Object} S3SyncWatcher
+ * @property {function():Promise.<void>} close - stops watching, once the current cycle is done
+ */
+
+/**
+ * What the last successful `watch` cycle knew about the files
+ * @typedef {Object} S3SyncWatchSnapshot
+ * @property {Object.<AbsoluteFilePath,S3ETag>} filePathToEtagMap
+ * @property {Object.<AbsoluteFilePath,string>} filePathToHashMap
+ * @property {Object.<AbsoluteFilePath,string>} filePathToContentHashMap
+ * @property {Object.<AbsoluteFilePath,S3SyncFileEntries>} filePathToEntriesMap
+ * @property {graphLib.DependencyGraph} dependencyGraph
+ */
+
+/**
+ * What `watch` keeps between its cycles
+ * @typedef {Object} S3SyncWatchState
+ * @property {number} cycle
+ * @property {Set.<AbsoluteFilePath>} changedFilePaths - since the last successful cycle
+ * @property {Array.<AbsoluteFilePath>} syncedFilePaths - by the last successful cycle
+ * @property {S3SyncWatchSnapshot} [previous]
  */
 
+/**
+ * Thrown by `run` in `continueOnError` mode when some keys could not be synchronized;
+ * the digest is not uploaded
+ */
+class S3SyncError extends Error {
+  /**
+   * @param {Array.<S3SyncFailure>} failures
+   */
+  constructor(failures) {
+    const description = failures.map(({ key, error }) => `${key} (${error.message})`).join('; ')
+    super(`Failed to sync ${failures.length} key(s): ${description}`)
+    this.name = 'S3SyncError'
+    this.failures = failures
+  }
+}
+
 /**
  * Class representing an operation to synchronize a directory with an Amazon S3 bucket
+ * @fires S3Sync#fileGathered {S3SyncFileEvent}
+ * @fires S3Sync#fileHashed {S3SyncFileHashedEvent}
+ * @fires S3Sync#urlRewritten {S3SyncUrlRewrittenEvent}
+ * @fires S3Sync#uploadStart {S3SyncUploadEvent}
+ * @fires S3Sync#uploadProgress {S3SyncUploadProgressEvent}
+ * @fires S3Sync#uploadSkipped {S3SyncUploadEvent}
+ * @fires S3Sync#uploadComplete {S3SyncUploadCompleteEvent}
+ * @fires S3Sync#uploadFailed {S3SyncUploadFailedEvent}
+ * @fires S3Sync#digestUploaded {S3SyncDigestUploadedEvent}
+ * @fires S3Sync#error {Error} only when there are `error` listeners
  */
-class S3Sync {
+class S3Sync extends EventEmitter {
   /**
    * @param {S3SyncConfig} config
    * @param {S3SyncOptions} options
    * @constructor
    */
   constructor(config, options) {
-    let s3ClientConfiguration = {}
-    if (config.key && config.secret) {
-      s3ClientConfiguration = {
-        accessKeyId: config.key,
-        secretAccessKey: config.secret
-      }
-    }
-    this.client = new AWS.S3(s3ClientConfiguration)
+    super()
+    this.storage = storageLib.createStorage(config)
     this.bucket = config.bucket
-    this.path = fs.realpathSync(options.path)
-    this.ignorePaths = options.ignorePaths || []
+    const sources = options.path
+    ? [{ path: options.path, ignorePaths: options.ignorePaths }, ...(options.sources || [])]
+    : options.sources || []
+    if (!sources.length) {
+      throw new TypeError('Missing required option "path" (or "sources")')
+    }
+    this.sources = sources.map(source => {
+      return {
+        path: fs.realpathSync(source.path),
+        prefix: source.prefix || '',
+        ignorePaths: source.ignorePaths || [],
+        headers: source.headers || /** @type {S3UploadHeaders} */ ({})
+      }
+    })
+    this.include = options.include || []
+    this.exclude = options.exclude || []
+    this.useIgnoreFile = Boolean(options.useIgnoreFile)
+    this.ignoreDotfiles = Boolean(options.ignoreDotfiles)
     this.digestFileKey = options.digestFileKey || DEFAULT_DIGEST_FILE_NAME
+    this.digestHistoryKey = options.digestHistoryKey ||
+      this.digestFileKey.replace(DIGEST_FILE_EXTENSION_REGEXP, '.history.json')
+    this.digestHistoryLength = options.digestHistoryLength || DEFAULT_DIGEST_HISTORY_LENGTH
     this.prefix = options.prefix || ''
     // Header options
     this.headers = options.headers || {}
+    this.hashedHeaders = options.hashedHeaders || {}
+    this.originalHeaders = options.originalHeaders || {}
+    this.digestHeaders = options.digestHeaders || {}
+    this.headerRules = (options.headerRules || []).map(rule => {
+      return { match: globLib.patternToRegExp(rule.match), headers: rule.headers }
+    })
     this.gzipHeaders = options.gzipHeaders || DEFAULT_GZIP_HEADERS
     // Upload options
     this.forceUpload = Boolean(options.forceUpload)
@@ -111,19 +491,114 @@ class S3Sync {
     this.noUploadDigestFile = Boolean(options.noUploadDigestFile)
     this.noUploadOriginalFiles = Boolean(options.noUploadOriginalFiles)
     this.noUploadHashedFiles = Boolean(options.noUploadHashedFiles)
+    this.prefetchRemoteState = Boolean(options.prefetchRemoteState)
+    // State cache options
+    this.stateFile = options.stateFile && path.resolve(options.stateFile)
+    this.verifyRemote = Boolean(options.verifyRemote)
+    this.storageName = config.bucket || config.localPath
+    // Concurrency options
+    const concurrency = options.concurrency || DEFAULT_CONCURRENCY
+    this.hashConcurrency = options.hashConcurrency || concurrency
+    this.uploadConcurrency = options.uploadConcurrency || concurrency
+    // Error handling options
+    this.retries = typeof options.retries === 'number' ? options.retries : DEFAULT_RETRIES
+    this.retryBaseDelay = options.retryBaseDelay || DEFAULT_RETRY_BASE_DELAY
+    this.retryMaxDelay = options.retryMaxDelay || DEFAULT_RETRY_MAX_DELAY
+    this.continueOnError = Boolean(options.continueOnError)
+    // Prune options
+    this.pruneKeepDigests = options.pruneKeepDigests || DEFAULT_PRUNE_KEEP_DIGESTS
+    this.pruneMinAge = options.pruneMinAge || 0
+    this.pruneDryRun = Boolean(options.pruneDryRun)
+    // Release options
+    this.release = options.release
+    // Watch options
+    this.watchDebounce = options.watchDebounce || DEFAULT_WATCH_DEBOUNCE
+    /** @type {(S3SyncWatchState|void)} */
+    this.watchState = undefined
     // gzip options
     this.gzipHashedFileKeyRegexp = options.gzipHashedFileKeyRegexp
+    // Brotli options
+    this.brotliHeaders = options.brotliHeaders || DEFAULT_BROTLI_HEADERS
+    this.brotliHashedFileKeyRegexp = options.brotliHashedFileKeyRegexp
+    // Hash options
+    /** @type {hashLib.HashOptions} */
+    this.hashOptions = {
+      algorithm: options.hashAlgorithm,
+      encoding: options.hashEncoding,
+      length: options.hashLength
+    }
+    this.hasCustomHashOptions = Boolean(options.hashAlgorithm || options.hashEncoding || options.hashLength)
+    this.hashedFileNameRegexp = new RegExp(
+      `(-${hashLib.hashPattern(this.hashOptions)})${HASHED_FILENAME_EXTENSION_PATTERN}`
+    )
+    this.integrity = Boolean(options.integrity)
+    this.integrityFileKey = options.integrityFileKey ||
+      this.digestFileKey.replace(DIGEST_FILE_EXTENSION_REGEXP, '.integrity.json')
+    this.htmlIntegrity = Boolean(options.htmlIntegrity)
+    this.jsAssetUrls = Boolean(options.jsAssetUrls)
+    this.jsPublicPath = (options.jsPublicPath || '/').replace(TRAILING_SLASH_REGEXP, '/')
+    // Source map options
+    const sourceMaps = options.sourceMaps || {}
+    /** @type {transformLib.SourceMapOptions} */
+    this.sourceMapOptions = {
+      sourceRoot: sourceMaps.sourceRoot,
+      rewriteSources: (sourceMaps.rewriteSources || []).map(rewrite => {
+        return {
+          pattern: rewrite.pattern instanceof RegExp ? rewrite.pattern : new RegExp(rewrite.pattern),
+          replacement: rewrite.replacement
+        }
+      }),
+      stripSourcesContent: Boolean(sourceMaps.stripSourcesContent)
+    }
+    this.sourceMapPrefix = sourceMaps.prefix
+    /** @type {Partial<S3UploadHeaders>} */
+    this.sourceMapHeaders = {}
+    if (sourceMaps.private) {
+      this.sourceMapHeaders['ACL'] = SOURCE_MAP_PRIVATE_ACL
+    }
+    /** @type {(storageLib.StorageAdapter|void)} */
+    this.sourceMapStorage = undefined
+    if (sourceMaps.bucket) {
+      if (config.storage || config.localPath) {
+        throw new TypeError('The "sourceMaps.bucket" option requires S3 storage')
+      }
+      this.sourceMapHeaders['Bucket'] = sourceMaps.bucket
+      this.sourceMapStorage = new storageLib.S3Storage({ ...config, bucket: sourceMaps.bucket })
+    }
+    // Transform options
+    /** @type {Array.<transformLib.Transform>} */
+    this.transforms = [
+      ...transformLib.BUILTIN_TRANSFORMS,
+      ...(options.transforms || []).map(transformLib.createTransform)
+    ]
+    // Manifest options
+    this.manifests = options.manifests || []
+    this.manifests.forEach(manifestLib.assertManifestWriter)
     // Hashed original file options
     if (options.hashedOriginalFileRegexp instanceof RegExp) {
       this.hashedOriginalFileRegexp = options.hashedOriginalFileRegexp
     } else if (options.hashedOriginalFileRegexp === true) {
-      this.hashedOriginalFileRegexp = HASHED_FILENAME_REGEXP
+      this.hashedOriginalFileRegexp = this.hashedFileNameRegexp
     }
     this.includePseudoUnhashedOriginalFilesInDigest =
       Boolean(options.includePseudoUnhashedOriginalFilesInDigest)
+    this.pairPrecompressedFiles = Boolean(options.pairPrecompressedFiles)
+    this.planning = false
+    this.verifying = false
     this.reset()
   }
 
+  /**
+   * Adds a custom transform of the file contents, applied after the built-in and the earlier ones
+   * @param {transformLib.TransformDefinition} definition
+   * @returns {void}
+   * @throws {TypeError} if the transform is not a function
+   * @public
+   */
+  registerTransform(definition) {
+    this.transforms.push(transformLib.createTransform(definition))
+  }
+
   /**
    * The main work-horse method that performs all of the sub-tasks to synchronize
    * @returns {Promise.<S3SyncDigest>}
@@ -131,16 +606,311 @@ class S3Sync {
    */
   async run() {
     try {
+      await this.assertNewRelease()
       await this.gatherFiles()
+      await this.readState()
       await this.addFilesToDigest()
+      await this.fetchRemoteState()
       await this.syncFiles()
       await this.uploadDigestFile()
+      await this.writeManifests()
+      await this.writeState()
+      this.recordWatchCycle()
       return this.digest
+    } catch (err) {
+      this.emitError(err)
+      throw err
+    } finally {
+      this.reset()
+    }
+  }
+
+  /**
+   * Works out what `run` would do (and optionally `prune` afterwards),
+   * comparing keys with the remote objects without writing anything
+   * @param {Object} [planOptions]
+   * @param {boolean} [planOptions.prune] - also plan the deletions of a subsequent `prune`
+   * @returns {Promise.<Array.<S3SyncAction>>} sorted by key
+   * @public
+   */
+  async plan({ prune = false } = {}) {
+    this.planning = true
+    try {
+      await this.assertNewRelease()
+      await this.gatherFiles()
+      await this.readState()
+      await this.addFilesToDigest()
+      await this.fetchRemoteState()
+      await this.syncFiles()
+      await this.uploadDigestFile()
+      await this.writeManifests()
+      if (prune) {
+        const history = await this.downloadDigestHistory()
+        const digests = [this.digest, ...history.map(entry => entry.digest)]
+        const { deletedKeys } = await this.staleHashedKeys(digests.slice(0, this.pruneKeepDigests))
+        deletedKeys.forEach(key => {
+          this.plannedActions.push({ action: 'delete', key, reason: 'stale' })
+        })
+      }
+      return this.plannedActions.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+    } finally {
+      this.planning = false
+      this.reset()
+    }
+  }
+
+  /**
+   * Checks that each key `run` uploads for the files (and the digest file) exists with the expected
+   * content and headers, and lists the keys under `prefix` which nothing references, without writing anything
+   * @returns {Promise.<S3SyncVerifyResult>}
+   * @public
+   */
+  async verify() {
+    // Verifying plans the uploads, but checks each key against its remote object
+    this.planning = true
+    this.verifying = true
+    try {
+      await this.gatherFiles()
+      await this.readState()
+      await this.addFilesToDigest()
+      await this.syncFiles()
+      if (!this.noUploadDigestFile) {
+        await this.upload(this.jsonObjectParams(this.digestFileKey, JSON.stringify(this.digest)), 'digestFile')
+      }
+      const keys = this.verifiedKeys.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+      const extraKeys = await this.unreferencedKeys(keys.map(({ key }) => key))
+      return {
+        ok: keys.every(({ status }) => status === 'ok'),
+        keys,
+        extraKeys
+      }
     } finally {
+      this.planning = false
+      this.verifying = false
       this.reset()
     }
   }
 
+  /**
+   * Runs, then keeps `path` in sync: after each batch of changes (once nothing has changed
+   * for `watchDebounce` ms), re-hashes and uploads the changed files and the files depending
+   * on them, then uploads the digest
+   * @param {function(S3SyncWatchCycle):void} [onCycle] - called after each cycle, including the initial run
+   * @returns {Promise.<S3SyncWatcher>} once the initial run is done
+   * @throws {Error} if the initial run fails
+   * @public
+   */
+  async watch(onCycle) {
+    if (this.watchState) {
+      throw new Error('Already watching')
+    }
+    this.watchState = { cycle: 0, changedFilePaths: new Set(), syncedFilePaths: [] }
+    const initialCycle = await this.runWatchCycle([], onCycle)
+    if (initialCycle.error) {
+      this.watchState = undefined
+      throw initialCycle.error
+    }
+    let closed = false
+    /** @type {Promise.<void>} */
+    let cyclePromise = Promise.resolve()
+    /** @type {Set.<AbsoluteFilePath>} */
+    let pendingFilePaths = new Set()
+    /**
+     * @param {Array.<AbsoluteFilePath>} changedFilePaths
+     * @returns {void}
+     */
+    const onChange = changedFilePaths => {
+      changedFilePaths.forEach(filePath => pendingFilePaths.add(filePath))
+      // Cycles run one at a time; changes made during a cycle are synced by the next one
+      cyclePromise = cyclePromise.then(async () => {
+        if (closed || !pendingFilePaths.size) {
+          return
+        }
+        const filePaths = [...pendingFilePaths]
+        pendingFilePaths = new Set()
+        await this.runWatchCycle(filePaths, onCycle)
+      }).catch(err => this.emitError(err))
+    }
+    const sourceFilters = await Bluebird.mapSeries(this.sources, source => this.pathFilters(source))
+    const watchers = this.sources.map((source, index) => {
+      return watchLib.watchDirectory(source.path, {
+        filters: sourceFilters[index],
+        debounce: this.watchDebounce
+      }, onChange)
+    })
+    return {
+      close: async () => {
+        closed = true
+        watchers.forEach(watcher => watcher.close())
+        await cyclePromise
+        this.watchState = undefined
+      }
+    }
+  }
+
+  /**
+   * Runs a `watch` cycle, reporting (rather than rejecting with) its error
+   * @param {Array.<AbsoluteFilePath>} changedFilePaths
+   * @param {function(S3SyncWatchCycle):void} [onCycle]
+   * @returns {Promise.<S3SyncWatchCycle>}
+   * @private
+   */
+  async runWatchCycle(changedFilePaths, onCycle) {
+    const watchState = /** @type {S3SyncWatchState} */ (this.watchState)
+    changedFilePaths.forEach(filePath => watchState.changedFilePaths.add(filePath))
+    const startTime = Date.now()
+    /** @type {S3SyncWatchCycle} */
+    const cycle = { cycle: watchState.cycle, changedFilePaths, syncedFilePaths: [], duration: 0 }
+    try {
+      cycle.digest = await this.run()
+      cycle.syncedFilePaths = watchState.syncedFilePaths
+    } catch (err) {
+      cycle.error = err
+    }
+    cycle.duration = Date.now() - startTime
+    watchState.cycle++
+    debug(`WATCHED cycle[${cycle.cycle}] changed[${changedFilePaths.length}] synced[${cycle.syncedFilePaths.length}]`)
+    if (onCycle) {
+      onCycle(cycle)
+    }
+    return cycle
+  }
+
+  /**
+   * Deletes the hashed keys under `prefix` which are not referenced by any of
+   * the `pruneKeepDigests` most recently uploaded digests
+   * @returns {Promise.<S3SyncPruneResult>}
+   * @public
+   */
+  async prune() {
+    const history = await this.downloadDigestHistory()
+    const digests = history.slice(0, this.pruneKeepDigests).map(entry => entry.digest)
+    if (!digests.length) {
+      // Without a history, fall back to the current digest (if there is one)
+      const digestFile = await this.downloadObject(this.digestFileKey)
+      if (!digestFile) {
+        throw new Error(`Refusing to prune without a digest: key[${this.digestFileKey}] not found`)
+      }
+      digests.push(JSON.parse(digestFile))
+    }
+    const { deletedKeys, keptKeys } = await this.staleHashedKeys(digests)
+    if (this.pruneDryRun) {
+      deletedKeys.forEach(key => debug(`PRUNING key[${key}] dryRun[true]`))
+    } else {
+      await this.deleteObjects(deletedKeys)
+    }
+    return {
+      dryRun: this.pruneDryRun,
+      deletedKeys,
+      keptKeyCount: keptKeys.size
+    }
+  }
+
+  /**
+   * Finds the hashed keys under `prefix` (older than `pruneMinAge`) which none of the digests reference
+   * @param {Array.<S3SyncDigest>} digests
+   * @returns {Promise.<{ deletedKeys: Array.<S3ObjectKey>, keptKeys: Set.<S3ObjectKey> }>}
+   * @private
+   */
+  async staleHashedKeys(digests) {
+    /** @type {Set.<S3ObjectKey>} */
+    const keptKeys = new Set()
+    for (let digest of digests) {
+      Object.values(digest).forEach(key => keptKeys.add(key))
+    }
+    const minLastModified = Date.now() - this.pruneMinAge * 1000
+    const objects = await this.listObjects(this.prefix && path.posix.join(this.prefix, '/'))
+    const deletedKeys = objects
+    .filter(object => this.isHashedFileKey(object.Key) && !keptKeys.has(object.Key))
+    .filter(object => object.LastModified.getTime() <= minLastModified)
+    .map(object => object.Key)
+    return { deletedKeys, keptKeys }
+  }
+
+  /**
+   * Finds the keys under `prefix` which neither the digest nor the files about the upload reference
+   * @param {Array.<S3ObjectKey>} keys - the other referenced keys
+   * @returns {Promise.<Array.<S3ObjectKey>>}
+   * @private
+   */
+  async unreferencedKeys(keys) {
+    const history = await this.downloadDigestHistory()
+    const referencedKeys = new Set([
+      ...keys,
+      ...Object.values(this.digest),
+      this.digestFileKey,
+      this.integrityFileKey,
+      this.digestHistoryKey,
+      ...history.map(entry => entry.digestKey),
+      ...this.manifests.filter(manifest => manifest.key).map(manifest => manifest.key)
+    ])
+    const objects = await this.listObjects(this.prefix && path.posix.join(this.prefix, '/'))
+    return objects
+    .map(object => object.Key)
+    .filter(key => !referencedKeys.has(key))
+    .sort()
+  }
+
+  /**
+   * Lists the releases in the digest history file
+   * @returns {Promise.<Array.<S3SyncRelease>>} newest first
+   * @public
+   */
+  async releases() {
+    return this.downloadDigestHistory()
+  }
+
+  /**
+   * Re-points `digestFileKey`, and the original (unhashed) keys, at the objects
+   * of an earlier release
+   * @param {string} [toRelease] - the release identifier (default: the previous release)
+   * @returns {Promise.<S3SyncRelease>}
+   * @public
+   */
+  async rollback(toRelease) {
+    const history = await this.downloadDigestHistory()
+    const currentRelease = history.length ? history[0].release : undefined
+    if (toRelease === undefined) {
+      const previousEntry = history.find(entry => entry.release !== currentRelease)
+      if (!previousEntry) {
+        throw new Error('Unable to rollback: there is no previous release')
+      }
+      toRelease = previousEntry.release
+    }
+    const digestKey = this.releaseDigestFileKey(toRelease)
+    const digestFile = await this.downloadObject(digestKey)
+    if (!digestFile) {
+      throw new Error(`Unable to rollback: release[${toRelease}] not found at key[${digestKey}]`)
+    }
+    /** @type {S3SyncDigest} */
+    const digest = JSON.parse(digestFile)
+    await Bluebird.map(Object.entries(digest), ([fileName, hashedFileKey]) => {
+      if (hashedFileKey === this.s3KeyForRelativeFileName(fileName) || this.isHashedFileName(fileName)) {
+        // Hashed original files (and their pseudo-entries) have no unhashed key
+        return
+      }
+      if (this.isEncodingVariantFileName(fileName, digest)) {
+        // Compressed variants only have a hashed key
+        return
+      }
+      return this.restoreOriginalFile(fileName, hashedFileKey)
+    }, { concurrency: this.uploadConcurrency })
+    /** @type {S3SyncRelease} */
+    const entry = {
+      release: toRelease,
+      createdAt: new Date().toISOString(),
+      digestKey,
+      digest,
+      rollback: true
+    }
+    await this.upload(this.jsonObjectParams(this.digestFileKey, JSON.stringify(digest)), 'rollback')
+    await this.uploadDigestHistory(entry)
+    if (!this.noUpload) {
+      this.emit('digestUploaded', { key: this.digestFileKey, release: toRelease, digest })
+    }
+    return entry
+  }
+
   /**
    * Resets the `S3Sync` instance back to its initial state
    * @returns {void}
@@ -149,89 +919,833 @@ class S3Sync {
   reset() {
     /** @type {Array.<AbsoluteFilePath>} */
     this.gatheredFilePaths = []
-    /** @type {Object.<AbsoluteFilePath,AWS.S3.ETag>} */
+    /** @type {Object.<AbsoluteFilePath,S3ETag>} the MD5 hash of each file */
     this.filePathToEtagMap = {}
+    /** @type {Object.<AbsoluteFilePath,string>} the hash of each file used in its hashed key */
+    this.filePathToHashMap = {}
+    /** @type {Object.<AbsoluteFilePath,AbsoluteFilePath>} */
+    this.precompressedFilePathToBaseFilePathMap = {}
+    /** @type {Object.<AbsoluteFilePath,AbsoluteFilePath>} */
+    this.sourceMapFilePathToGeneratedFilePathMap = {}
+    /** @type {Object.<AbsoluteFilePath,AbsoluteFilePath>} */
+    this.generatedFilePathToSourceMapFilePathMap = {}
     /** @type {S3SyncDigest} */
     this.digest = {}
+    /** @type {Object.<AbsoluteFilePath,string>} the hash in the hashed key of each file */
+    this.filePathToContentHashMap = {}
+    /** @type {Object.<RelativeFileName,S3SyncFileDetails>} */
+    this.fileNameToDetailsMap = {}
+    /** @type {Object.<AbsoluteFilePath,S3SyncFileEntries>} */
+    this.filePathToEntriesMap = {}
+    /** @type {graphLib.DependencyGraph} */
+    this.fileDependencyGraph = new Map()
+    /** @type {(Set.<AbsoluteFilePath>|void)} the files to sync, unless all of them (in `watch` cycles) */
+    this.affectedFilePaths = undefined
+    /** @type {Array.<S3SyncAction>} */
+    this.plannedActions = []
+    /** @type {Array.<S3SyncVerifiedKey>} */
+    this.verifiedKeys = []
+    /** @type {Array.<S3SyncFailure>} */
+    this.failures = []
+    /** @type {(Map.<S3ObjectKey,S3ETag>|void)} */
+    this.remoteEtagMap = undefined
+    /** @type {(stateLib.UploadState|void)} the state cached by the previous run */
+    this.state = undefined
+    /** @type {(stateLib.UploadState|void)} the state to cache for the next run */
+    this.nextState = undefined
   }
 
   /**
-   * Walks the `this.path` directory and collects all of the file paths
+   * Walks the directory of each source and collects all of the file paths
    * @returns {Promise.<void>}
+   * @throws {Error} if files of different sources have the same name
    * @private
    */
   async gatherFiles() {
-    const filePaths = await directoryLib.getFileNames(this.path, this.ignorePaths)
+    const sourceFilePaths = await Bluebird.mapSeries(this.sources, async source => {
+      return directoryLib.getFileNames(source.path, await this.pathFilters(source))
+    })
+    /** @type {Array.<AbsoluteFilePath>} */
+    const filePaths = Array.prototype.concat(...sourceFilePaths)
+    this.assertUniqueFileNames(filePaths)
     this.gatheredFilePaths.push(...filePaths)
+    filePaths.forEach(filePath => this.emit('fileGathered', { filePath }))
+    if (this.pairPrecompressedFiles) {
+      const fileGroups = directoryLib.groupPrecompressedFiles(filePaths)
+      for (let [baseFilePath, precompressedFilePaths] of fileGroups) {
+        for (let precompressedFilePath of precompressedFilePaths) {
+          this.precompressedFilePathToBaseFilePathMap[precompressedFilePath] = baseFilePath
+        }
+      }
+    }
+    const filePathSet = new Set(filePaths)
+    for (let filePath of filePaths) {
+      const generatedFilePath = fileLib.generatedFilePath(filePath)
+      if (
+        fileLib.isSourceMap(filePath) &&
+        filePathSet.has(generatedFilePath) &&
+        !this.isHashedFileName(this.relativeFileName(filePath)) &&
+        !this.isHashedFileName(this.relativeFileName(generatedFilePath))
+      ) {
+        this.sourceMapFilePathToGeneratedFilePathMap[filePath] = generatedFilePath
+        this.generatedFilePathToSourceMapFilePathMap[generatedFilePath] = filePath
+      }
+    }
   }
 
   /**
-   * Iterates through the gathered files and generates the hashed digest mapping
+   * Which paths of the source are skipped, reading its `.s3ignore` file (with `useIgnoreFile`)
+   * @param {Required<S3SyncSource>} source
+   * @returns {Promise.<directoryLib.PathFilters>}
+   * @private
+   */
+  async pathFilters(source) {
+    const excludePatterns = this.useIgnoreFile
+    ? [
+      `/${ignoreLib.IGNORE_FILE_NAME}`,
+      ...await ignoreLib.readIgnoreFile(path.join(source.path, ignoreLib.IGNORE_FILE_NAME)),
+      ...this.exclude
+    ]
+    : this.exclude
+    return {
+      ignorePaths: source.ignorePaths,
+      exclude: ignoreLib.parseIgnorePatterns(excludePatterns),
+      include: ignoreLib.parseIgnorePatterns(this.include),
+      ignoreDotfiles: this.ignoreDotfiles
+    }
+  }
+
+  /**
+   * @param {Array.<AbsoluteFilePath>} filePaths
+   * @returns {void}
+   * @throws {Error} if any of the files have the same name
+   * @private
+   */
+  assertUniqueFileNames(filePaths) {
+    /** @type {Map.<RelativeFileName,AbsoluteFilePath>} */
+    const fileNameToFilePathMap = new Map()
+    /** @type {Array.<string>} */
+    const collisions = []
+    for (let filePath of filePaths) {
+      const fileName = this.relativeFileName(filePath)
+      const otherFilePath = fileNameToFilePathMap.get(fileName)
+      if (otherFilePath) {
+        collisions.push(`fileName[${fileName}] paths[${otherFilePath}, ${filePath}]`)
+      } else {
+        fileNameToFilePathMap.set(fileName, filePath)
+      }
+    }
+    if (collisions.length) {
+      throw new Error(`The sources have files with the same name: ${collisions.join('; ')}`)
+    }
+  }
+
+  /**
+   * Iterates through the gathered files and generates the hashed digest mapping.
+   * Files are hashed after the files they reference, so that each hashed key
+   * reflects the transformed content which is actually uploaded.
    * @returns {Promise.<S3SyncDigest>}
+   * @throws {graphLib.DependencyCycleError}
    * @private
    */
   async addFilesToDigest() {
-    for (let filePath of this.gatheredFilePaths) {
-      await this.addFileToDigest(filePath)
+    await Bluebird.map(this.gatheredFilePaths, filePath => {
+      return this.hashFile(filePath)
+    }, { concurrency: this.hashConcurrency })
+    const dependencyGraph = await this.dependencyGraph()
+    this.fileDependencyGraph = dependencyGraph
+    this.affectedFilePaths = this.watchAffectedFilePaths(dependencyGraph)
+    for (let filePaths of graphLib.topologicalLevels(dependencyGraph)) {
+      // Entries are added in order once the whole level is hashed,
+      // so the digest does not depend on which file finished first
+      const fileEntries = await Bluebird.map(filePaths, async filePath => {
+        const previousEntries = this.previousFileEntries(filePath)
+        if (previousEntries) {
+          return previousEntries
+        }
+        return {
+          digestEntries: await this.digestEntriesForFile(filePath),
+          details: this.shouldDescribeFiles() ? await this.fileDetails(filePath) : undefined
+        }
+      }, { concurrency: this.hashConcurrency })
+      fileEntries.forEach((entries, index) => {
+        this.filePathToEntriesMap[filePaths[index]] = entries
+      })
+      for (let { digestEntries, details } of fileEntries) {
+        for (let [fileName, fileKey] of digestEntries) {
+          this.digest[fileName] = fileKey
+          if (details) {
+            this.fileNameToDetailsMap[fileName] = details
+          }
+        }
+      }
+      filePaths.forEach(filePath => {
+        this.emit('fileHashed', {
+          filePath,
+          hash: this.filePathToHashMap[filePath],
+          key: this.digest[this.relativeFileName(filePath)]
+        })
+      })
     }
     return this.digest
   }
 
+  /**
+   * Maps each gathered file to the gathered files it references
+   * @returns {Promise.<graphLib.DependencyGraph>}
+   * @private
+   */
+  async dependencyGraph() {
+    /** @type {Map.<RelativeFileName,AbsoluteFilePath>} */
+    const fileNameToFilePathMap = new Map()
+    for (let filePath of this.gatheredFilePaths) {
+      const originalFileName = this.relativeFileName(filePath)
+      fileNameToFilePathMap.set(originalFileName, filePath)
+      if (this.isHashedFileName(originalFileName) && this.includePseudoUnhashedOriginalFilesInDigest) {
+        fileNameToFilePathMap.set(this.unhashedFileName(originalFileName), filePath)
+      }
+    }
+    const dependencies = await Bluebird.map(this.gatheredFilePaths, async filePath => {
+      const originalFileName = this.relativeFileName(filePath)
+      const baseFilePath = this.precompressedFilePathToBaseFilePathMap[filePath]
+      if (baseFilePath) {
+        // Precompressed files are hashed along with their base file
+        return [baseFilePath]
+      }
+      const generatedFilePath = this.sourceMapFilePathToGeneratedFilePathMap[filePath]
+      if (generatedFilePath) {
+        // Source maps are hashed along with the file they are named after
+        return [generatedFilePath]
+      }
+      if (this.isHashedFileName(originalFileName)) {
+        // Hashed original files are uploaded untransformed
+        return []
+      }
+      const referencedFileNames = await transformLib.getReferencedFileNames({
+        filePath,
+        relativeFileName: originalFileName,
+        jsPublicPath: this.jsAssetUrls ? this.jsPublicPath : undefined,
+        transforms: this.transforms
+      })
+      const sourceMapFilePath = this.generatedFilePathToSourceMapFilePathMap[filePath]
+      const referencedFilePaths = referencedFileNames
+      .filter(fileName => fileNameToFilePathMap.has(fileName))
+      .map(fileName => fileNameToFilePathMap.get(fileName))
+      .filter(referencedFilePath => referencedFilePath !== sourceMapFilePath)
+      return [...new Set(referencedFilePaths)]
+    }, { concurrency: this.hashConcurrency })
+    /** @type {graphLib.DependencyGraph} */
+    const dependencyGraph = new Map()
+    this.gatheredFilePaths.forEach((filePath, index) => {
+      dependencyGraph.set(filePath, dependencies[index])
+    })
+    return dependencyGraph
+  }
+
+  /**
+   * The files which a `watch` cycle syncs: the files which changed since the last successful
+   * cycle, the files which reference (or referenced) them, the files which reference those, ...
+   * @param {graphLib.DependencyGraph} dependencyGraph
+   * @returns {(Set.<AbsoluteFilePath>|void)} unless every file is synced
+   * @private
+   */
+  watchAffectedFilePaths(dependencyGraph) {
+    const watchState = this.watchState
+    if (!watchState || !watchState.previous) {
+      return
+    }
+    const previous = watchState.previous
+    const changedFilePaths = [
+      ...watchState.changedFilePaths,
+      // Added files
+      ...this.gatheredFilePaths.filter(filePath => !previous.filePathToEntriesMap[filePath]),
+      // Removed files
+      ...Object.keys(previous.filePathToEntriesMap).filter(filePath => !dependencyGraph.has(filePath))
+    ]
+    if (this.pairPrecompressedFiles) {
+      // The entries of a file depend on which precompressed siblings it has
+      changedFilePaths.push(...changedFilePaths.map(fileLib.uncompressedFilePath))
+    }
+    // The hash of a file covers the source map named after it
+    changedFilePaths.push(...changedFilePaths.filter(fileLib.isSourceMap).map(fileLib.generatedFilePath))
+    const affectedFilePaths = graphLib.dependentNodes([dependencyGraph, previous.dependencyGraph], changedFilePaths)
+    return new Set(this.gatheredFilePaths.filter(filePath => affectedFilePaths.has(filePath)))
+  }
+
+  /**
+   * The entries of a file which the last successful `watch` cycle generated, unless they are affected by changes
+   * @param {AbsoluteFilePath} filePath
+   * @returns {(S3SyncFileEntries|void)}
+   * @private
+   */
+  previousFileEntries(filePath) {
+    const previous = this.watchState && this.watchState.previous
+    if (!previous || !this.affectedFilePaths || this.affectedFilePaths.has(filePath)) {
+      return
+    }
+    this.filePathToContentHashMap[filePath] = previous.filePathToContentHashMap[filePath]
+    return previous.filePathToEntriesMap[filePath]
+  }
+
+  /**
+   * Keeps what the next `watch` cycle needs to know about this one
+   * @returns {void}
+   * @private
+   */
+  recordWatchCycle() {
+    if (!this.watchState) {
+      return
+    }
+    this.watchState.previous = {
+      filePathToEtagMap: this.filePathToEtagMap,
+      filePathToHashMap: this.filePathToHashMap,
+      filePathToContentHashMap: this.filePathToContentHashMap,
+      filePathToEntriesMap: this.filePathToEntriesMap,
+      dependencyGraph: this.fileDependencyGraph
+    }
+    this.watchState.syncedFilePaths = this.syncedFilePaths()
+    this.watchState.changedFilePaths = new Set()
+  }
+
+  /**
+   * Reads the state cached by the previous run (with `stateFile`)
+   * @returns {Promise.<void>}
+   * @private
+   */
+  async readState() {
+    if (!this.stateFile) {
+      return
+    }
+    const fingerprint = this.stateFingerprint()
+    this.state = await stateLib.readStateFile(this.stateFile, fingerprint)
+    this.nextState = stateLib.createState(fingerprint)
+  }
+
+  /**
+   * Caches the state of this run for the next one; only called once everything is uploaded
+   * @returns {Promise.<void>}
+   * @private
+   */
+  async writeState() {
+    if (!this.stateFile || !this.nextState || this.noUpload) {
+      return
+    }
+    debug(`WRITING state[${this.stateFile}]`)
+    await stateLib.writeStateFile(this.stateFile, this.nextState)
+  }
+
+  /**
+   * Identifies the destination and the options which affect keys and headers,
+   * so the cached state is discarded when any of them change
+   * @returns {string}
+   * @private
+   */
+  stateFingerprint() {
+    return hashLib.hashFromString(JSON.stringify({
+      storageName: this.storageName,
+      prefix: this.prefix,
+      sources: this.sources.map(source => {
+        return { path: source.path, prefix: source.prefix, headers: source.headers }
+      }),
+      headers: this.headers,
+      hashedHeaders: this.hashedHeaders,
+      originalHeaders: this.originalHeaders,
+      digestHeaders: this.digestHeaders,
+      headerRules: this.headerRules.map(rule => {
+        return { source: rule.match.source, flags: rule.match.flags, headers: rule.headers }
+      }),
+      gzipHeaders: this.gzipHeaders,
+      brotliHeaders: this.brotliHeaders,
+      gzipHashedFileKeyRegexp: String(this.gzipHashedFileKeyRegexp),
+      brotliHashedFileKeyRegexp: String(this.brotliHashedFileKeyRegexp),
+      hashedOriginalFileRegexp: String(this.hashedOriginalFileRegexp),
+      includePseudoUnhashedOriginalFilesInDigest: this.includePseudoUnhashedOriginalFilesInDigest,
+      pairPrecompressedFiles: this.pairPrecompressedFiles,
+      hashOptions: this.hashOptions,
+      sourceMaps: { prefix: this.sourceMapPrefix, headers: this.sourceMapHeaders }
+    }))
+  }
+
+  /**
+   * Lists the remote objects under `prefix` into `this.remoteEtagMap` (with `prefetchRemoteState`),
+   * so `uploadReason` can compare most keys without a request of its own
+   * @returns {Promise.<void>}
+   * @private
+   */
+  async fetchRemoteState() {
+    if (!this.prefetchRemoteState || this.forceUpload || (this.noUpload && !this.planning)) {
+      return
+    }
+    const remoteObjects = await retryLib.withRetries(() => {
+      return this.listObjects(this.prefix)
+    }, this.retryOptions(`prefix[${this.prefix}]`))
+    debug(`LISTED prefix[${this.prefix}] count[${remoteObjects.length}]`)
+    this.remoteEtagMap = new Map(remoteObjects.map(object => {
+      return [/** @type {string} */ (object.Key), storageLib.normalizeEtag(object.ETag)]
+    }))
+  }
+
   /**
    * Uploads the gathered files
    * @returns {Promise.<Array.<S3SyncFileResult>>}
    * @private
    */
   async syncFiles() {
-    return Bluebird.mapSeries(this.gatheredFilePaths, filePath => {
+    const results = await Bluebird.map(this.syncedFilePaths(), filePath => {
+      const originalFileName = this.relativeFileName(filePath)
+      const originalFileKey = this.s3KeyForRelativeFileName(originalFileName)
+      const hashedFileKey = this.digest[originalFileName] || originalFileKey
+      const brotliFileKey = this.digest[`${originalFileName}${BROTLI_FILE_EXTENSION}`] || hashedFileKey
       return Bluebird.props({
         filePath,
-        originalFile: this.uploadOriginalFile(filePath),
-        hashedFile: this.uploadHashedFile(filePath)
+        originalFile: this.syncKey(originalFileKey, filePath, () => this.uploadOriginalFile(filePath)),
+        hashedFile: this.syncKey(hashedFileKey, filePath, () => this.uploadHashedFile(filePath)),
+        brotliFile: this.syncKey(brotliFileKey, filePath, () => this.uploadBrotliFile(filePath))
       })
+    }, { concurrency: this.uploadConcurrency })
+    if (this.failures.length) {
+      throw new S3SyncError(this.failures)
+    }
+    return results
+  }
+
+  /**
+   * @returns {Array.<AbsoluteFilePath>} the gathered files which are synced
+   * @private
+   */
+  syncedFilePaths() {
+    const affectedFilePaths = this.affectedFilePaths
+    return affectedFilePaths
+    ? this.gatheredFilePaths.filter(filePath => affectedFilePaths.has(filePath))
+    : this.gatheredFilePaths
+  }
+
+  /**
+   * Retries the sync of a key after retryable errors and, in `continueOnError` mode,
+   * records its failure rather than rejecting
+   * @param {S3ObjectKey} key
+   * @param {AbsoluteFilePath} filePath
+   * @param {function():Promise.<S3UploadResult>} syncFn
+   * @returns {Promise.<S3UploadResult>}
+   * @private
+   */
+  async syncKey(key, filePath, syncFn) {
+    try {
+      return await retryLib.withRetries(syncFn, this.retryOptions(`key[${key}]`))
+    } catch (err) {
+      debug(`FAILED key[${key}] error[${err.message}]`)
+      this.emit('uploadFailed', { key, error: err })
+      if (!this.continueOnError) {
+        throw err
+      }
+      this.failures.push({ key, filePath, error: err })
+    }
+  }
+
+  /**
+   * Hashes the original file
+   * @param {AbsoluteFilePath} filePath
+   * @returns {Promise.<void>}
+   * @private
+   */
+  async hashFile(filePath) {
+    const watchState = this.watchState
+    const previous = watchState && watchState.previous
+    if (watchState && previous && previous.filePathToEtagMap[filePath] && !watchState.changedFilePaths.has(filePath)) {
+      // Unchanged since the last successful `watch` cycle
+      this.filePathToEtagMap[filePath] = previous.filePathToEtagMap[filePath]
+      this.filePathToHashMap[filePath] = previous.filePathToHashMap[filePath]
+      const fileName = this.relativeFileName(filePath)
+      if (this.state && this.nextState && this.state.files[fileName]) {
+        this.nextState.files[fileName] = this.state.files[fileName]
+      }
+      return
+    }
+    if (!this.state || !this.nextState) {
+      const { hash, nameHash } = await this.hashFileContent(filePath)
+      this.filePathToEtagMap[filePath] = hash
+      this.filePathToHashMap[filePath] = nameHash
+      return
+    }
+    const fileName = this.relativeFileName(filePath)
+    /** @type {fs.Stats} */
+    const stats = await Bluebird.fromCallback(callback => {
+      fs.stat(filePath, callback)
     })
+    let fileState = this.state.files[fileName]
+    if (!stateLib.isFileUnchanged(fileState, stats)) {
+      fileState = { mtimeMs: stats.mtimeMs, size: stats.size, ...await this.hashFileContent(filePath) }
+    }
+    this.nextState.files[fileName] = fileState
+    this.filePathToEtagMap[filePath] = fileState.hash
+    this.filePathToHashMap[filePath] = fileState.nameHash
+  }
+
+  /**
+   * @param {AbsoluteFilePath} filePath
+   * @returns {Promise.<{hash: S3ETag, nameHash: string}>} the MD5 hash of the file,
+   *   and the hash used in its hashed key
+   * @private
+   */
+  async hashFileContent(filePath) {
+    const hash = await hashLib.hashFromFile(filePath)
+    const nameHash = this.hasCustomHashOptions
+    ? await hashLib.hashFromFile(filePath, this.hashOptions)
+    : hash
+    return { hash, nameHash }
+  }
+
+  /**
+   * Whether the details of the files are needed (for their integrity, or for manifests)
+   * @returns {boolean}
+   * @private
+   */
+  shouldDescribeFiles() {
+    return this.integrity || this.htmlIntegrity || this.manifests.length > 0
+  }
+
+  /**
+   * How to replace the references of the file; the files it references must already be in the digest
+   * @param {AbsoluteFilePath} filePath
+   * @returns {transformLib.TransformOptions}
+   * @private
+   */
+  transformOptions(filePath) {
+    const sourceMapFilePath = this.generatedFilePathToSourceMapFilePathMap[filePath]
+    const contentHash = this.filePathToContentHashMap[filePath]
+    return {
+      filePath,
+      relativeFileName: this.relativeFileName(filePath),
+      // The source map named after the file is hashed after it, but has the same content hash
+      digest: sourceMapFilePath && contentHash
+      ? { ...this.digest, [this.relativeFileName(sourceMapFilePath)]: this.sourceMapFileKey(sourceMapFilePath, contentHash) }
+      : this.digest,
+      integrity: this.htmlIntegrity ? this.fileIntegrityMap() : undefined,
+      jsPublicPath: this.jsAssetUrls ? this.jsPublicPath : undefined,
+      transforms: this.transforms,
+      sourceMap: this.sourceMapOptions,
+      absoluteSourceMapUrls: this.sourceMapPrefix !== undefined
+    }
+  }
+
+  /**
+   * @param {AbsoluteFilePath} sourceMapFilePath
+   * @param {string} contentHash - of the file the source map is named after
+   * @returns {HashedS3Key}
+   * @private
+   */
+  sourceMapFileKey(sourceMapFilePath, contentHash) {
+    const originalFileKey = this.s3KeyForRelativeFileName(this.relativeFileName(sourceMapFilePath))
+    return this.hashedFileKey(originalFileKey, contentHash)
+  }
+
+  /**
+   * Describes the file, as it is uploaded to its hashed key;
+   * its digest entries must already be generated
+   * @param {AbsoluteFilePath} filePath
+   * @returns {Promise.<S3SyncFileDetails>}
+   * @private
+   */
+  async fileDetails(filePath) {
+    const originalFileName = this.relativeFileName(filePath)
+    // Hashed original files are uploaded untransformed
+    const { size, integrity } = await transformLib.describeTransformedFile(this.isHashedFileName(originalFileName)
+    ? { filePath, relativeFileName: originalFileName, digest: {} }
+    : this.transformOptions(filePath))
+    return {
+      size,
+      contentType: this.fileHeaders(filePath, 'hashed')['ContentType'],
+      contentHash: this.filePathToContentHashMap[filePath],
+      integrity
+    }
+  }
+
+  /**
+   * The digest, with the details and the compressed variants of each entry
+   * @returns {S3SyncRichDigest}
+   * @private
+   */
+  richDigest() {
+    /** @type {S3SyncRichDigest} */
+    const richDigest = {}
+    for (let [fileName, key] of Object.entries(this.digest)) {
+      /** @type {Object.<string,S3ObjectKey>} */
+      const encodings = {}
+      for (let encodingFileName of [`${fileName}${GZIP_FILE_EXTENSION}`, `${fileName}${BROTLI_FILE_EXTENSION}`]) {
+        if (this.digest[encodingFileName]) {
+          encodings[/** @type {string} */ (fileLib.getContentEncoding(encodingFileName))] = this.digest[encodingFileName]
+        }
+      }
+      richDigest[fileName] = { key, ...this.fileNameToDetailsMap[fileName], encodings }
+    }
+    return richDigest
+  }
+
+  /**
+   * Hashes the file (as it will be transformed) to generate its digest entries;
+   * the files it references must already be in the digest
+   * @param {AbsoluteFilePath} filePath
+   * @returns {Promise.<Array.<[RelativeFileName,HashedS3Key]>>}
+   * @private
+   */
+  async digestEntriesForFile(filePath) {
+    const hash = this.filePathToHashMap[filePath]
+    const originalFileName = this.relativeFileName(filePath)
+    const originalFileKey = this.s3KeyForRelativeFileName(originalFileName)
+    const baseFilePath = this.precompressedFilePathToBaseFilePathMap[filePath]
+    if (baseFilePath && !this.isHashedFileName(originalFileName)) {
+      // Precompressed files share the content hash of their base file
+      this.filePathToContentHashMap[filePath] = this.filePathToContentHashMap[baseFilePath]
+      const baseFileName = this.relativeFileName(baseFilePath)
+      const compressionExtension = originalFileName.substring(baseFileName.length)
+      return [[originalFileName, `${this.digest[baseFileName]}${compressionExtension}`]]
+    }
+    /** @type {Array.<[RelativeFileName,HashedS3Key]>} */
+    const digestEntries = []
+    let hashedFileKey = originalFileKey
+    const generatedFilePath = this.sourceMapFilePathToGeneratedFilePathMap[filePath]
+    if (this.isHashedFileName(originalFileName)) {
+      this.filePathToContentHashMap[filePath] = hash
+      if (this.includePseudoUnhashedOriginalFilesInDigest) {
+        const unhashedFileName = this.unhashedFileName(originalFileName)
+        digestEntries.push([unhashedFileName, originalFileKey])
+      }
+    } else if (generatedFilePath) {
+      // Source maps share the content hash of the file they are named after
+      this.filePathToContentHashMap[filePath] = this.filePathToContentHashMap[generatedFilePath]
+      hashedFileKey = this.hashedFileKey(originalFileKey, this.filePathToContentHashMap[filePath])
+    } else {
+      // The content hash is only set once the file is hashed, see `transformOptions`
+      const transformedHash = await transformLib.hashTransformedFile({
+        ...this.transformOptions(filePath),
+        hashOptions: this.hashOptions,
+        // Reported once, when the file is hashed
+        onUrlRewrite: (url, replacement) => {
+          debug(`REWRITING fileName[${originalFileName}] url[${url}] replacement[${replacement}]`)
+          this.emit('urlRewritten', { filePath, url, replacement })
+        }
+      })
+      const sourceMapFilePath = this.generatedFilePathToSourceMapFilePathMap[filePath]
+      this.filePathToContentHashMap[filePath] = sourceMapFilePath
+      ? await this.hashWithSourceMap(transformedHash || hash, sourceMapFilePath)
+      : transformedHash || hash
+      hashedFileKey = this.hashedFileKey(originalFileKey, this.filePathToContentHashMap[filePath])
+    }
+    digestEntries.push([originalFileName, hashedFileKey])
+    const brotliFilePath = `${filePath}${BROTLI_FILE_EXTENSION}`
+    const hasPrecompressedBrotliFile = this.precompressedFilePathToBaseFilePathMap[brotliFilePath] === filePath
+    if (
+      this.shouldBrotliHashedFileKey(originalFileKey) &&
+      !fileLib.getContentEncoding(filePath) &&
+      !hasPrecompressedBrotliFile
+    ) {
+      digestEntries.push([
+        `${originalFileName}${BROTLI_FILE_EXTENSION}`,
+        `${hashedFileKey}${BROTLI_FILE_EXTENSION}`
+      ])
+    }
+    return digestEntries
+  }
+
+  /**
+   * The content hash of a file with a source map named after it. The source map shares it,
+   * and its `file` refers to the hashed key of the file, so the hash covers the content of both.
+   * @param {string} contentHash - of the file
+   * @param {AbsoluteFilePath} sourceMapFilePath
+   * @returns {Promise.<string>}
+   * @private
+   */
+  async hashWithSourceMap(contentHash, sourceMapFilePath) {
+    // The file is not in the digest yet, so the `file` of the source map is not rewritten
+    const sourceMapHash = await transformLib.hashTransformedFile({
+      ...this.transformOptions(sourceMapFilePath),
+      hashOptions: this.hashOptions
+    })
+    return hashLib.hashFromString(
+      `${contentHash}${sourceMapHash || this.filePathToHashMap[sourceMapFilePath]}`,
+      this.hashOptions
+    )
+  }
+
+  /**
+   * Uploads the digest, an immutable copy of it for the release, and the
+   * updated digest history
+   * @returns {Promise.<S3UploadResult>}
+   * @private
+   */
+  async uploadDigestFile() {
+    const key = this.digestFileKey
+    if (this.noUploadDigestFile) {
+      this.skip(key, 'noUploadDigestFile')
+      return
+    }
+    const createdAt = new Date().toISOString()
+    const release = this.releaseId(createdAt)
+    /** @type {S3SyncRelease} */
+    const entry = {
+      release,
+      createdAt,
+      digestKey: this.releaseDigestFileKey(release),
+      digest: this.digest
+    }
+    await this.uploadReleaseDigestFile(entry)
+    const result = await retryLib.withRetries(() => {
+      return this.upload(this.jsonObjectParams(key, JSON.stringify(this.digest)), 'digestFile')
+    }, this.retryOptions(`key[${key}]`))
+    await this.uploadIntegrityFile()
+    await this.uploadDigestHistory(entry)
+    if (!this.noUpload && !this.planning) {
+      this.emit('digestUploaded', {
+        key,
+        release,
+        digest: this.digest,
+        integrity: this.integrity ? this.integrityMap() : undefined
+      })
+    }
+    return result
+  }
+
+  /**
+   * The integrity of the files described so far, by relative file name
+   * @returns {S3SyncIntegrity}
+   * @private
+   */
+  fileIntegrityMap() {
+    /** @type {S3SyncIntegrity} */
+    const integrityMap = {}
+    for (let [fileName, { integrity }] of Object.entries(this.fileNameToDetailsMap)) {
+      integrityMap[fileName] = integrity
+    }
+    return integrityMap
+  }
+
+  /**
+   * @returns {S3SyncIntegrity}
+   * @private
+   */
+  integrityMap() {
+    /** @type {S3SyncIntegrity} */
+    const integrityMap = {}
+    for (let [fileName, { integrity }] of Object.entries(this.richDigest())) {
+      integrityMap[fileName] = integrity
+    }
+    return integrityMap
+  }
+
+  /**
+   * Renders the digest as each of the `manifests`, and uploads and/or writes them
+   * @returns {Promise.<void>}
+   * @private
+   */
+  async writeManifests() {
+    if (!this.manifests.length) {
+      return
+    }
+    const richDigest = this.richDigest()
+    /** @type {manifestLib.ManifestContext} */
+    const context = { prefix: this.prefix, integrity: this.integrity }
+    await Bluebird.mapSeries(this.manifests, async manifest => {
+      const data = manifestLib.renderManifest(manifest.format, richDigest, context)
+      const key = manifest.key
+      if (key) {
+        await retryLib.withRetries(() => {
+          return this.upload(this.jsonObjectParams(key, data), 'manifestFile')
+        }, this.retryOptions(`key[${key}]`))
+      }
+      if (manifest.localPath && !this.planning) {
+        debug(`WRITING manifest[${manifest.localPath}]`)
+        await manifestLib.writeManifestFile(path.resolve(manifest.localPath), data)
+      }
+    })
+  }
+
+  /**
+   * Uploads the Subresource Integrity of each digest entry (with `integrity`)
+   * @returns {Promise.<S3UploadResult>}
+   * @private
+   */
+  async uploadIntegrityFile() {
+    if (!this.integrity) {
+      return
+    }
+    const key = this.integrityFileKey
+    return retryLib.withRetries(() => {
+      return this.upload(this.jsonObjectParams(key, JSON.stringify(this.integrityMap())), 'integrityFile')
+    }, this.retryOptions(`key[${key}]`))
+  }
+
+  /**
+   * Uploads the immutable copy of the release digest
+   * @param {S3SyncRelease} entry
+   * @returns {Promise.<S3UploadResult>}
+   * @throws {Error} if the release already exists
+   * @private
+   */
+  async uploadReleaseDigestFile(entry) {
+    const key = entry.digestKey
+    if (this.noUpload && !this.planning) {
+      this.skip(key, 'noUpload')
+      return
+    }
+    const retryOptions = this.retryOptions(`key[${key}]`)
+    if (await retryLib.withRetries(() => this.objectExists(key), retryOptions)) {
+      throw new Error(`Release[${entry.release}] already exists at key[${key}]`)
+    }
+    return retryLib.withRetries(() => {
+      return this.upload({
+        ...this.jsonObjectParams(key, JSON.stringify(entry.digest)),
+        'CacheControl': RELEASE_DIGEST_CACHE_CONTROL
+      }, 'releaseDigestFile')
+    }, retryOptions)
   }
 
   /**
-   * Hashes the file and adds it to the digest
-   * @param {AbsoluteFilePath} filePath
+   * Rejects before anything is uploaded when the digest of `release` already exists
+   * (generated release identifiers are only checked once the digest is uploaded)
    * @returns {Promise.<void>}
+   * @throws {Error} if the release exists
    * @private
    */
-  async addFileToDigest(filePath) {
-    const hash = await hashLib.hashFromFile(filePath)
-    this.filePathToEtagMap[filePath] = hash
-    const originalFileName = this.relativeFileName(filePath)
-    const originalFileKey = this.s3KeyForRelativeFileName(originalFileName)
-    if (this.isHashedFileName(originalFileName)) {
-      if (this.includePseudoUnhashedOriginalFilesInDigest) {
-        const unhashedFileName = this.unhashedFileName(originalFileName)
-        this.digest[unhashedFileName] = originalFileKey
-      }
-      this.digest[originalFileName] = originalFileKey
-    } else {
-      const hashedFileKey = this.hashedFileKey(originalFileKey, hash)
-      this.digest[originalFileName] = hashedFileKey
+  async assertNewRelease() {
+    if (!this.release || this.noUploadDigestFile || (this.noUpload && !this.planning)) {
+      return
+    }
+    const release = this.releaseId(new Date().toISOString())
+    const key = this.releaseDigestFileKey(release)
+    if (await retryLib.withRetries(() => this.objectExists(key), this.retryOptions(`key[${key}]`))) {
+      throw new Error(`Release[${release}] already exists at key[${key}]`)
     }
   }
 
   /**
+   * Prepends the entry to the digest history file, which is used by `prune` and `rollback`
+   * @param {S3SyncRelease} entry
    * @returns {Promise.<S3UploadResult>}
    * @private
    */
-  async uploadDigestFile() {
-    const key = this.digestFileKey
-    if (this.noUploadDigestFile) {
-      debug(`SKIPPING key[${key}] reason[noUploadDigestFile]`)
+  async uploadDigestHistory(entry) {
+    const key = this.digestHistoryKey
+    if (this.noUpload && !this.planning) {
+      this.skip(key, 'noUpload')
       return
     }
-    return this.upload({
-      'ACL': DEFAULT_ACL,
-      'Body': JSON.stringify(this.digest),
-      'Bucket': this.bucket,
-      'ContentType': 'application/json',
-      'Key': key
-    })
+    return retryLib.withRetries(async () => {
+      const history = await this.downloadDigestHistory()
+      const data = JSON.stringify([entry, ...history].slice(0, this.digestHistoryLength))
+      return this.upload({
+        ...this.jsonObjectParams(key, data),
+        'ACL': DIGEST_HISTORY_ACL
+      }, 'digestHistory')
+    }, this.retryOptions(`key[${key}]`))
+  }
+
+  /**
+   * @returns {Promise.<Array.<S3SyncRelease>>} newest first
+   * @private
+   */
+  async downloadDigestHistory() {
+    const historyFile = await this.downloadObject(this.digestHistoryKey)
+    return historyFile ? JSON.parse(historyFile) : []
   }
 
   /**
@@ -244,23 +1758,24 @@ class S3Sync {
     const originalFileKey = this.s3KeyForRelativeFileName(originalFileName)
     const isHashedOriginalFile = this.isHashedFileName(originalFileName)
     if (this.noUploadOriginalFiles && !isHashedOriginalFile) {
-      debug(`SKIPPING key[${originalFileKey}] reason[noUploadOriginalFiles]`)
+      this.skip(originalFileKey, 'noUploadOriginalFiles')
       return
     }
-    const etag = this.filePathToEtagMap[filePath]
-    if (await this.shouldUpload(originalFileKey, etag)) {
-      /** @type {NodeJS.ReadableStream} */
-      let fileStream = fs.createReadStream(filePath)
-      let fileHeaders = this.fileHeaders(filePath)
-      if (isHashedOriginalFile && this.shouldGzipHashedFileKey(originalFileKey)) {
-        fileStream = streamLib.gzipStream(fileStream)
-        fileHeaders = { ...fileHeaders, ...this.gzipHeaders }
-      }
+    if (this.skipUploads(originalFileKey)) {
+      return
+    }
+    const shouldGzip = isHashedOriginalFile && this.shouldGzipFile(filePath, originalFileKey)
+    const uploadBody = await this.uploadBody(filePath, async () => {
+      return { stream: fs.createReadStream(filePath), transformed: false }
+    }, shouldGzip ? fileLib.CONTENT_ENCODING_GZIP : undefined)
+    const uploadReason = await this.uploadReason(originalFileKey, uploadBody.etag, uploadBody.contentHash)
+    if (uploadReason) {
+      const contentEncoding = shouldGzip ? fileLib.CONTENT_ENCODING_GZIP : fileLib.getContentEncoding(filePath)
       return this.upload({
-        ...fileHeaders,
+        ...this.fileHeaders(filePath, isHashedOriginalFile ? 'hashed' : 'original', contentEncoding),
         'Key': originalFileKey,
-        'Body': fileStream
-      })
+        'Body': await uploadBody.createBody()
+      }, uploadReason, uploadBody.contentHash)
     }
   }
 
@@ -275,114 +1790,486 @@ class S3Sync {
     const hashedFileKey = this.digest[originalFileName]
     if (!hashedFileKey) {
       // This should never happen under normal circumstances!
-      debug(`SKIPPING filePath[${filePath}] reason[NotInDigest]`)
+      this.skip(originalFileKey, 'NotInDigest')
       return
     }
     if (hashedFileKey === originalFileKey) {
-      debug(`SKIPPING key[${hashedFileKey}] reason[originalFileIsHashed]`)
+      this.skip(hashedFileKey, 'originalFileIsHashed')
       return
     }
     if (this.noUploadHashedFiles) {
-      debug(`SKIPPING key[${hashedFileKey}] reason[noUploadHashedFiles]`)
+      this.skip(hashedFileKey, 'noUploadHashedFiles')
       return
     }
-    const transformResult = await transformLib.replaceHashedFilenames({
-      filePath,
-      relativeFileName: originalFileName,
-      digest: this.digest
-    })
-    const etag = transformResult.hash || this.filePathToEtagMap[filePath]
-    if (await this.shouldUpload(hashedFileKey, etag)) {
-      let fileStream = transformResult.stream
-      let fileHeaders = this.fileHeaders(filePath)
-      if (this.shouldGzipHashedFileKey(originalFileKey)) {
-        fileStream = streamLib.gzipStream(fileStream)
-        fileHeaders = { ...fileHeaders, ...this.gzipHeaders }
-      }
+    if (this.skipUploads(hashedFileKey)) {
+      return
+    }
+    const shouldGzip = this.shouldGzipFile(filePath, originalFileKey)
+    const uploadBody = await this.uploadBody(filePath, () => {
+      return transformLib.replaceHashedFilenames(this.transformOptions(filePath))
+    }, shouldGzip ? fileLib.CONTENT_ENCODING_GZIP : undefined)
+    const uploadReason = await this.uploadReason(hashedFileKey, uploadBody.etag, uploadBody.contentHash)
+    if (uploadReason) {
+      const contentEncoding = shouldGzip ? fileLib.CONTENT_ENCODING_GZIP : fileLib.getContentEncoding(filePath)
       return this.upload({
-        ...fileHeaders,
+        ...this.fileHeaders(filePath, 'hashed', contentEncoding),
         'Key': hashedFileKey,
-        'Body': fileStream
+        'Body': await uploadBody.createBody()
+      }, uploadReason, uploadBody.contentHash)
+    }
+  }
+
+  /**
+   * Uploads the Brotli variant of the hashed file, if it has one
+   * @param {AbsoluteFilePath} filePath
+   * @returns {Promise.<S3UploadResult>}
+   * @private
+   */
+  async uploadBrotliFile(filePath) {
+    const originalFileName = this.relativeFileName(filePath)
+    const brotliFileKey = this.digest[`${originalFileName}${BROTLI_FILE_EXTENSION}`]
+    if (!brotliFileKey) {
+      return
+    }
+    const isHashedOriginalFile = this.isHashedFileName(originalFileName)
+    if (this.noUploadHashedFiles && !isHashedOriginalFile) {
+      this.skip(brotliFileKey, 'noUploadHashedFiles')
+      return
+    }
+    if (this.skipUploads(brotliFileKey)) {
+      return
+    }
+    const uploadBody = await this.uploadBody(filePath, async () => {
+      // Hashed original files are uploaded untransformed
+      return isHashedOriginalFile
+      ? { stream: fs.createReadStream(filePath), transformed: false }
+      : transformLib.replaceHashedFilenames(this.transformOptions(filePath))
+    }, fileLib.CONTENT_ENCODING_BROTLI)
+    const uploadReason = await this.uploadReason(brotliFileKey, uploadBody.etag, uploadBody.contentHash)
+    if (uploadReason) {
+      return this.upload({
+        ...this.fileHeaders(filePath, 'hashed', fileLib.CONTENT_ENCODING_BROTLI),
+        'Key': brotliFileKey,
+        'Body': await uploadBody.createBody()
+      }, uploadReason, uploadBody.contentHash)
+    }
+  }
+
+  /**
+   * Prepares the body of an upload of the file, working out the ETag the object will have.
+   * Compressed and transformed content is streamed twice: once to hash it, and again
+   * (transformed anew) for the upload, so it is never held in memory.
+   * @param {AbsoluteFilePath} filePath
+   * @param {function():Promise.<import('./lib/transform').TransformedFileResult>} createContent
+   * @param {fileLib.ContentEncoding} [contentEncoding] - compress the content
+   * @returns {Promise.<S3UploadBody>}
+   * @private
+   */
+  async uploadBody(filePath, createContent, contentEncoding) {
+    const partSize = this.storage.partSize
+    const { stream, transformed } = await createContent()
+    if (!transformed && !contentEncoding) {
+      // The file is read again for the upload, if there is one, so its descriptor isn't left open
+      /** @type {fs.ReadStream} */ (stream).destroy()
+      const contentHash = this.filePathToEtagMap[filePath]
+      /** @type {fs.Stats} */
+      const stats = await Bluebird.fromCallback(callback => {
+        fs.stat(filePath, callback)
       })
+      const etag = partSize && stats.size > partSize
+      ? await hashLib.etagFromStream(fs.createReadStream(filePath), partSize)
+      : contentHash
+      return { createBody: async () => (await createContent()).stream, etag, contentHash }
+    }
+    const { etag, hash } = await hashLib.etagAndHashFromStream(streamLib.compressStream(stream, contentEncoding), partSize)
+    return {
+      createBody: async () => streamLib.compressStream((await createContent()).stream, contentEncoding),
+      etag,
+      contentHash: hash
     }
   }
 
   /**
+   * Uploads the object, adds it to the planned actions while planning,
+   * or compares it with the remote object while verifying
    * @param {S3UploadParams} params
+   * @param {S3SyncActionReason} reason
+   * @param {string} [contentHash] - stored in the object metadata, to recognize the object later
    * @returns {Promise.<S3UploadResult>}
-   * @see https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/S3.html#upload-property
    * @private
    */
-  async upload(params) {
+  async upload(params, reason, contentHash) {
+    if (contentHash) {
+      params = {
+        ...params,
+        'Metadata': { ...params['Metadata'], [CONTENT_HASH_METADATA_KEY]: contentHash }
+      }
+    }
     const key = params['Key']
-    if (this.noUpload) {
-      debug(`SKIPPING key[${key}] reason[noUpload]`)
+    if (this.noUpload && !this.planning) {
+      this.skip(key, 'noUpload')
+      return
+    }
+    if (this.verifying) {
+      this.verifiedKeys.push(await this.verifyObject(params))
+      return
+    }
+    if (this.planning) {
+      const { Body: body, ...headers } = params
+      this.plannedActions.push({
+        action: 'upload',
+        key,
+        reason,
+        size: await streamLib.byteLength(/** @type {(NodeJS.ReadableStream|string)} */ (body)),
+        contentType: params['ContentType'],
+        headers
+      })
       return
     }
     debug(`UPLOADING key[${key}]`)
-    return Bluebird.fromCallback(callback => {
-      this.client.upload(params, callback)
+    this.emit('uploadStart', { key, reason })
+    const startTime = Date.now()
+    const result = await this.storageForKey(key).put(params, {
+      onProgress: ({ loaded, total }) => {
+        this.emit('uploadProgress', { key, loaded, total })
+      }
     })
+    this.emit('uploadComplete', { key, reason, duration: Date.now() - startTime })
+    return result
+  }
+
+  /**
+   * Compares the remote object with the object the params would upload
+   * @param {S3UploadParams} params
+   * @returns {Promise.<S3SyncVerifiedKey>}
+   * @private
+   */
+  async verifyObject(params) {
+    const key = params['Key']
+    const body = /** @type {(NodeJS.ReadableStream|Buffer|string)} */ (params['Body'])
+    const partSize = this.storage.partSize
+    const etag = typeof body === 'string' || Buffer.isBuffer(body)
+    ? hashLib.etagFromBuffer(Buffer.from(body), partSize)
+    : await hashLib.etagFromStream(body, partSize)
+    const remoteObject = await this.storageForKey(key).head(key)
+    /** @type {Array.<S3SyncVerifyMismatch>} */
+    const mismatches = []
+    if (!remoteObject) {
+      debug(`VERIFIED key[${key}] status[missing]`)
+      return { key, status: 'missing', mismatches }
+    }
+    const remoteEtag = storageLib.normalizeEtag(remoteObject.ETag)
+    const contentHash = params['Metadata'] && params['Metadata'][CONTENT_HASH_METADATA_KEY]
+    const remoteContentHash = remoteObject.Metadata && remoteObject.Metadata[CONTENT_HASH_METADATA_KEY]
+    if (MULTIPART_ETAG_REGEXP.test(remoteEtag) && contentHash && remoteContentHash) {
+      // The ETag of an object uploaded in parts depends on the part size it was uploaded with
+      compareField('contentHash', contentHash, remoteContentHash)
+    } else {
+      compareField('ETag', etag, remoteEtag)
+    }
+    VERIFIED_HEADER_NAMES.forEach(name => compareField(name, params[name], remoteObject[name]))
+    const status = mismatches.length ? 'mismatch' : 'ok'
+    debug(`VERIFIED key[${key}] status[${status}]`)
+    return { key, status, mismatches }
+
+    /**
+     * @param {string} field
+     * @param {(string|void)} expected
+     * @param {(string|void)} actual
+     * @returns {void}
+     */
+    function compareField(field, expected, actual) {
+      if ((expected || null) !== (actual || null)) {
+        mismatches.push({ field, expected: expected || null, actual: actual || null })
+      }
+    }
+  }
+
+  /**
+   * @param {S3ObjectKey} key
+   * @returns {Promise.<(string|void)>} the object body, unless it does not exist
+   * @private
+   */
+  async downloadObject(key) {
+    const body = await this.storage.get(key)
+    if (body) {
+      return body.toString()
+    }
   }
 
   /**
-   * @param {AWS.S3.ObjectKey} key
-   * @param {AWS.S3.ETag} etag
+   * @param {S3ObjectKey} key
    * @returns {Promise.<boolean>}
    * @private
    */
-  async shouldUpload(key, etag) {
-    if (this.noUpload) {
-      debug(`SKIPPING key[${key}] reason[noUpload]`)
-      return false
+  async objectExists(key) {
+    return Boolean(await this.storage.head(key))
+  }
+
+  /**
+   * Points the original key of a digest entry at the content of its hashed key,
+   * with the headers `run` gives the original file
+   * @param {RelativeFileName} fileName
+   * @param {HashedS3Key} hashedFileKey
+   * @returns {Promise.<S3UploadResult>}
+   * @private
+   */
+  async restoreOriginalFile(fileName, hashedFileKey) {
+    const originalFileKey = this.s3KeyForRelativeFileName(fileName)
+    if (this.noUploadOriginalFiles) {
+      this.skip(originalFileKey, 'noUploadOriginalFiles')
+      return
+    }
+    if (this.skipUploads(originalFileKey)) {
+      return
+    }
+    const storage = this.storageForKey(originalFileKey)
+    const hashedObject = await storage.head(hashedFileKey)
+    if (!hashedObject) {
+      throw new Error(`Unable to rollback: key[${hashedFileKey}] not found`)
+    }
+    const contentEncoding = fileLib.getContentEncoding(fileName)
+    const headers = this.fileNameHeaders(fileName, 'original', { contentEncoding })
+    if ((hashedObject.ContentEncoding || undefined) !== contentEncoding) {
+      // The hashed object was compressed (see `gzipHashedFileKeyRegexp`), but the original file is not
+      const hashedBody = await storage.get(hashedFileKey)
+      const body = await streamLib.streamToBuffer(streamLib.decompressStream(
+        streamLib.stringToStream(/** @type {Buffer} */ (hashedBody)),
+        /** @type {fileLib.ContentEncoding} */ (hashedObject.ContentEncoding)
+      ))
+      return this.upload({ ...headers, 'Key': originalFileKey, 'Body': body }, 'rollback', hashLib.hashFromString(body))
+    }
+    debug(`COPYING key[${originalFileKey}] source[${hashedFileKey}]`)
+    await storage.copy(hashedFileKey, originalFileKey, {
+      ...headers,
+      // Keeps the content hash of the hashed object, which has the same content
+      'Metadata': { ...hashedObject.Metadata, ...headers['Metadata'] }
+    })
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {Promise.<Array.<S3Object>>} every object with a key beginning with `prefix`
+   * @private
+   */
+  async listObjects(prefix) {
+    return this.storage.list(prefix)
+  }
+
+  /**
+   * @param {Array.<S3ObjectKey>} keys
+   * @returns {Promise.<void>}
+   * @private
+   */
+  async deleteObjects(keys) {
+    keys.forEach(key => debug(`DELETING key[${key}]`))
+    return this.storage.delete(keys)
+  }
+
+  /**
+   * Compares the key with the remote object to decide whether to upload it
+   * @param {S3ObjectKey} key
+   * @param {S3ETag} etag - the ETag the object will have once uploaded
+   * @param {string} [contentHash] - compared instead, if the remote object has one in its metadata
+   * @returns {Promise.<(S3SyncActionReason|void)>} the reason to upload, unless the key is skipped
+   * @private
+   */
+  async uploadReason(key, etag, contentHash) {
+    if (this.skipUploads(key)) {
+      return
+    }
+    if (this.verifying) {
+      // Every key is compared with its remote object by `upload`, along with its headers
+      return 'verify'
+    }
+    if (this.nextState) {
+      this.nextState.keys[key] = etag
     }
     if (this.forceUpload) {
-      return true
+      return 'forceUpload'
     }
-    try {
-      await Bluebird.fromCallback(callback => {
-        this.client.headObject({
-          'Bucket': this.bucket,
-          'Key': key,
-          'IfNoneMatch': etag
-        }, callback)
-      })
-      // File found, ETag does not match
+    if (this.state && !this.verifyRemote && this.state.keys[key] === etag) {
+      this.skip(key, 'cached')
+      return
+    }
+    const remoteObject = await this.remoteObjectState(key)
+    if (!remoteObject) {
+      return 'NotFound'
+    }
+    const isModified = remoteObject.contentHash && contentHash
+    ? remoteObject.contentHash !== contentHash
+    : remoteObject.etag !== etag
+    if (!isModified) {
+      this.skip(key, 'NotModified')
+      return
+    }
+    return 'Modified'
+  }
+
+  /**
+   * Looks the key up in the prefetched remote state, falling back to a request
+   * for keys it does not cover (outside of `prefix` or in `sourceMaps.bucket`, or listed without an ETag
+   * or with the ETag of an object uploaded in parts)
+   * @param {S3ObjectKey} key
+   * @returns {Promise.<(S3RemoteObjectState|void)>} unless the object does not exist
+   * @private
+   */
+  async remoteObjectState(key) {
+    if (this.remoteEtagMap && key.startsWith(this.prefix) && this.storageForKey(key) === this.storage) {
+      if (!this.remoteEtagMap.has(key)) {
+        return
+      }
+      const etag = this.remoteEtagMap.get(key)
+      // The ETag of an object uploaded in parts depends on the part size, so its content hash is fetched too
+      if (etag && !MULTIPART_ETAG_REGEXP.test(etag)) {
+        return { etag }
+      }
+    }
+    const remoteObject = await this.storageForKey(key).head(key)
+    if (remoteObject) {
+      return {
+        etag: storageLib.normalizeEtag(remoteObject.ETag),
+        contentHash: remoteObject.Metadata && remoteObject.Metadata[CONTENT_HASH_METADATA_KEY]
+      }
+    }
+  }
+
+  /**
+   * Skips the key with `noUpload` (unless planning)
+   * @param {S3ObjectKey} key
+   * @returns {boolean} whether the key is skipped
+   * @private
+   */
+  skipUploads(key) {
+    if (this.noUpload && !this.planning) {
+      this.skip(key, 'noUpload')
       return true
-    } catch (err) {
-      switch (err.name) {
-        case 'NotModified':
-          debug(`SKIPPING key[${key}] reason[NotModified]`)
-          return false
-        case 'NotFound':
-          return true
-        default:
-          throw err
+    }
+    return false
+  }
+
+  /**
+   * @param {S3ObjectKey} key
+   * @param {S3SyncActionReason} reason
+   * @returns {void}
+   * @private
+   */
+  skip(key, reason) {
+    debug(`SKIPPING key[${key}] reason[${reason}]`)
+    this.emit('uploadSkipped', { key, reason })
+    if (this.planning) {
+      this.plannedActions.push({ action: 'skip', key, reason })
+    }
+  }
+
+  /**
+   * @param {string} description - identifies what is retried in the debug log
+   * @returns {retryLib.RetryOptions}
+   * @private
+   */
+  retryOptions(description) {
+    return {
+      retries: this.retries,
+      baseDelay: this.retryBaseDelay,
+      maxDelay: this.retryMaxDelay,
+      onRetry: (err, attempt, delay) => {
+        debug(`RETRYING ${description} attempt[${attempt}] delay[${delay}] error[${err.message}]`)
       }
     }
   }
 
+  /**
+   * Emits the error, unless nobody is listening (which would throw it)
+   * @param {Error} err
+   * @returns {void}
+   * @private
+   */
+  emitError(err) {
+    if (this.listenerCount('error')) {
+      this.emit('error', err)
+    }
+  }
+
   /**
    * @param {AbsoluteFilePath} filePath
    * @returns {RelativeFileName}
    * @private
    */
   relativeFileName(filePath) {
-    return filePath.substring(this.path.length + path.sep.length)
+    const source = this.sourceForFilePath(filePath)
+    return path.posix.join(source.prefix, filePath.substring(source.path.length + path.sep.length))
+  }
+
+  /**
+   * @param {AbsoluteFilePath} filePath
+   * @returns {Required<S3SyncSource>} the innermost source containing the file
+   * @private
+   */
+  sourceForFilePath(filePath) {
+    return this.sources
+    .filter(source => filePath.startsWith(`${source.path}${path.sep}`))
+    .reduce((innerSource, source) => source.path.length > innerSource.path.length ? source : innerSource)
+  }
+
+  /**
+   * @param {RelativeFileName} fileName
+   * @returns {Required<S3SyncSource>} the source with the longest prefix containing the file name (or the first source)
+   * @private
+   */
+  sourceForFileName(fileName) {
+    const matchingSources = this.sources
+    .filter(source => !source.prefix || fileName.startsWith(`${source.prefix}/`))
+    return matchingSources.length
+    ? matchingSources.reduce((innerSource, source) => source.prefix.length > innerSource.prefix.length ? source : innerSource)
+    : this.sources[0]
+  }
+
+  /**
+   * Whether the digest entry is the compressed (`.gz` or `.br`) variant of another entry
+   * @param {RelativeFileName} fileName
+   * @param {S3SyncDigest} digest
+   * @returns {boolean}
+   * @private
+   */
+  isEncodingVariantFileName(fileName, digest) {
+    return Boolean(fileLib.getContentEncoding(fileName)) && fileLib.uncompressedFilePath(fileName) in digest
   }
 
   /**
    * @param {RelativeFileName} fileName
-   * @returns {AWS.S3.ObjectKey}
+   * @returns {S3ObjectKey}
    * @private
    */
   s3KeyForRelativeFileName(fileName) {
-    return path.posix.join(this.prefix, fileName)
+    const prefix = this.sourceMapPrefix !== undefined && this.isSourceMapKey(fileName)
+    ? this.sourceMapPrefix
+    : this.prefix
+    return path.posix.join(prefix, fileName)
+  }
+
+  /**
+   * Whether the key (or file name) is a source map, or one of its compressed variants
+   * @param {S3ObjectKey} key
+   * @returns {boolean}
+   * @private
+   */
+  isSourceMapKey(key) {
+    return fileLib.isSourceMap(fileLib.uncompressedFilePath(key))
   }
 
   /**
-   * @param {AWS.S3.ObjectKey} fileKey
-   * @param {AWS.S3.ETag} hash
+   * Source maps are stored in `sourceMaps.bucket`, if set
+   * @param {S3ObjectKey} key
+   * @returns {storageLib.StorageAdapter}
+   * @private
+   */
+  storageForKey(key) {
+    return this.sourceMapStorage && this.isSourceMapKey(key) ? this.sourceMapStorage : this.storage
+  }
+
+  /**
+   * @param {S3ObjectKey} fileKey
+   * @param {S3ETag} hash
    * @returns {HashedS3Key}
    * @private
    */
@@ -401,6 +2288,40 @@ class S3Sync {
     : false
   }
 
+  /**
+   * Each `watch` cycle is a release of its own, so cycles after the first one append their number to `release`
+   * @param {string} createdAt - ISO 8601 timestamp
+   * @returns {string}
+   * @private
+   */
+  releaseId(createdAt) {
+    if (!this.release) {
+      return createdAt.replace(RELEASE_ID_SEPARATOR_REGEXP, '')
+    }
+    return this.watchState && this.watchState.cycle
+    ? `${this.release}-${this.watchState.cycle}`
+    : this.release
+  }
+
+  /**
+   * @param {string} release
+   * @returns {S3ObjectKey}
+   * @private
+   */
+  releaseDigestFileKey(release) {
+    return this.digestFileKey.replace(DIGEST_FILE_EXTENSION_REGEXP, `.${release}.json`)
+  }
+
+  /**
+   * Whether the key looks like a hashed file key (either generated, or a hashed original file)
+   * @param {S3ObjectKey} key
+   * @returns {boolean}
+   * @private
+   */
+  isHashedFileKey(key) {
+    return this.hashedFileNameRegexp.test(key) || this.isHashedFileName(key)
+  }
+
   /**
    * @param {RelativeFileName} hashedFileName
    * @returns {RelativeFileName}
@@ -423,30 +2344,125 @@ class S3Sync {
   }
 
   /**
+   * Files which are already compressed are never compressed again
+   * @param {AbsoluteFilePath} filePath
+   * @param {string} originalFileKey
+   * @returns {boolean}
+   * @private
+   */
+  shouldGzipFile(filePath, originalFileKey) {
+    return !fileLib.getContentEncoding(filePath) && this.shouldGzipHashedFileKey(originalFileKey)
+  }
+
+  /**
+   * @param {string} originalFileKey
+   * @returns {boolean}
+   * @private
+   */
+  shouldBrotliHashedFileKey(originalFileKey) {
+    if (this.brotliHashedFileKeyRegexp instanceof RegExp) {
+      return this.brotliHashedFileKeyRegexp.test(originalFileKey)
+    }
+    return false
+  }
+
+  /**
+   * Merges, in order: the defaults (with the `CacheControl` of the kind), `headers`, the `headers` of its source, `hashedHeaders` or `originalHeaders`,
+   * the `private` ACL and `bucket` of source maps (see `sourceMaps`), the content type, the headers of the content encoding and the matching `headerRules`
    * @param {AbsoluteFilePath} filePath
+   * @param {S3SyncObjectKind} kind
+   * @param {(fileLib.ContentEncoding|void)} [contentEncoding] - of the uploaded body
+   * @returns {S3UploadHeaders}
+   * @private
+   */
+  fileHeaders(filePath, kind, contentEncoding = fileLib.getContentEncoding(filePath)) {
+    // Precompressed files have the content type of their base file
+    const contentTypeFilePath = this.precompressedFilePathToBaseFilePathMap[filePath] || filePath
+    return this.fileNameHeaders(this.relativeFileName(filePath), kind, {
+      source: this.sourceForFilePath(filePath),
+      contentType: fileLib.getContentType(contentTypeFilePath),
+      contentEncoding
+    })
+  }
+
+  /**
+   * The headers of `fileHeaders`, for a relative file name (e.g. of an earlier release)
+   * @param {RelativeFileName} fileName
+   * @param {S3SyncObjectKind} kind
+   * @param {Object} [headerOptions]
+   * @param {Required<S3SyncSource>} [headerOptions.source] - the source of the file (default: the source with the longest matching prefix)
+   * @param {S3ContentType} [headerOptions.contentType] - (default: the content type of the file name)
+   * @param {(fileLib.ContentEncoding|void)} [headerOptions.contentEncoding] - of the uploaded body
    * @returns {S3UploadHeaders}
    * @private
    */
-  fileHeaders(filePath) {
+  fileNameHeaders(fileName, kind, {
+    source = this.sourceForFileName(fileName),
+    contentType = fileLib.getContentType(fileName),
+    contentEncoding
+  } = {}) {
     const defaultHeaders = {
       'ACL': DEFAULT_ACL,
-      'Bucket': this.bucket
+      'Bucket': this.bucket,
+      ...(kind === 'hashed' ? DEFAULT_HASHED_HEADERS : DEFAULT_ORIGINAL_HEADERS)
     }
     const fileHeaders = {
-      'ContentType': fileLib.getContentType(filePath)
+      'ContentType': contentType
     }
-    const gzipHeaders = fileLib.isGzipped(filePath)
-    ? this.gzipHeaders
-    : {}
+    const ruleHeaders = this.headerRules
+    .filter(rule => rule.match.test(fileName))
+    .map(rule => rule.headers)
     return Object.assign(
       defaultHeaders,
       this.headers,
+      source.headers,
+      kind === 'hashed' ? this.hashedHeaders : this.originalHeaders,
+      this.isSourceMapKey(fileName) ? this.sourceMapHeaders : {},
       fileHeaders,
-      gzipHeaders
+      this.contentEncodingHeaders(contentEncoding),
+      ...ruleHeaders
     )
   }
+
+  /**
+   * The params of the digest, and of the other JSON files about the upload
+   * @param {S3ObjectKey} key
+   * @param {string} data
+   * @returns {S3UploadParams}
+   * @private
+   */
+  jsonObjectParams(key, data) {
+    return {
+      'ACL': DEFAULT_ACL,
+      'Bucket': this.bucket,
+      'ContentType': 'application/json',
+      ...DEFAULT_DIGEST_HEADERS,
+      ...this.digestHeaders,
+      'Body': data,
+      'Key': key
+    }
+  }
+
+  /**
+   * @param {(fileLib.ContentEncoding|void)} contentEncoding
+   * @returns {(S3UploadHeaders|{})}
+   * @private
+   */
+  contentEncodingHeaders(contentEncoding) {
+    switch (contentEncoding) {
+      case fileLib.CONTENT_ENCODING_GZIP:
+        return this.gzipHeaders
+      case fileLib.CONTENT_ENCODING_BROTLI:
+        return this.brotliHeaders
+      default:
+        return {}
+    }
+  }
 }
 
 module.exports = {
-  S3Sync
+  LocalStorage: storageLib.LocalStorage,
+  S3Storage: storageLib.S3Storage,
+  S3Sync,
+  S3SyncError
 }
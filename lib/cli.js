@@ -0,0 +1,653 @@
+// Node imports
+const fs = require('fs')
+const path = require('path')
+// NPM imports
+const Bluebird = require('bluebird')
+// Lib imports
+const planLib = require('./plan')
+
+const PROGRAM_NAME = 's3-asset-uploader'
+const CONFIG_FILE_NAMES = [
+  `${PROGRAM_NAME}.config.js`,
+  `${PROGRAM_NAME}.config.json`
+]
+const REGEXP_LITERAL_REGEXP = /^\/(.+)\/([a-z]*)$/
+const EXIT_CODE_FAILURE = 1
+const EXIT_CODE_USAGE = 2
+
+/**
+ * @typedef {'string'|'boolean'|'number'|'json'|'regexp'|'regexpOrBoolean'|'patternList'|'stringList'} OptionType
+ */
+
+/**
+ * @typedef {Object} OptionDefinition
+ * @property {string} name - the `S3SyncConfig` or `S3SyncOptions` property
+ * @property {OptionType} type
+ * @property {string} description
+ * @property {boolean} [isConfig] - belongs to `S3SyncConfig` rather than `S3SyncOptions`
+ */
+
+/** @type {Array.<OptionDefinition>} */
+const OPTION_DEFINITIONS = [
+  { name: 'bucket', type: 'string', isConfig: true, description: 'the name of the destination AWS S3 bucket' },
+  { name: 'key', type: 'string', isConfig: true, description: 'your AWS access key ID' },
+  { name: 'secret', type: 'string', isConfig: true, description: 'your AWS secret access key' },
+  { name: 'endpoint', type: 'string', isConfig: true, description: 'a custom endpoint, e.g. for an S3-compatible server' },
+  { name: 'forcePathStyle', type: 'boolean', isConfig: true, description: 'use path-style (rather than virtual-host) URLs' },
+  { name: 'region', type: 'string', isConfig: true, description: 'the AWS region of the bucket' },
+  { name: 'partSize', type: 'number', isConfig: true, description: 'upload objects larger than this many bytes in parts of this size' },
+  { name: 'localPath', type: 'string', isConfig: true, description: 'store objects in this local directory rather than S3' },
+  { name: 'path', type: 'string', description: 'the base path to synchronize with S3' },
+  { name: 'ignorePaths', type: 'patternList', description: 'skip these paths when gathering files (repeatable)' },
+  { name: 'include', type: 'stringList', description: 'only gather the files matching these .gitignore-style patterns (repeatable)' },
+  { name: 'exclude', type: 'stringList', description: 'skip the paths matching these .gitignore-style patterns (repeatable)' },
+  { name: 'useIgnoreFile', type: 'boolean', description: 'also skip the paths matching the patterns of the .s3ignore file of each base path' },
+  { name: 'ignoreDotfiles', type: 'boolean', description: 'skip the files and directories with a name beginning with a dot' },
+  { name: 'sources', type: 'json', description: 'more base paths to synchronize, e.g. [{"path":"static/fonts","prefix":"fonts"}] (JSON)' },
+  { name: 'digestFileKey', type: 'string', description: 'the destination key of the generated digest file' },
+  { name: 'prefix', type: 'string', description: 'prepended to all destination file names when uploaded' },
+  { name: 'headers', type: 'json', description: 'extra params used by `AWS.S3` upload method (JSON)' },
+  { name: 'hashedHeaders', type: 'json', description: 'extra params for hashed objects (JSON)' },
+  { name: 'originalHeaders', type: 'json', description: 'extra params for original (unhashed) objects (JSON)' },
+  { name: 'digestHeaders', type: 'json', description: 'extra params for the digest and the other JSON files about the upload (JSON)' },
+  { name: 'headerRules', type: 'json', description: 'extra params for matching files, e.g. [{"match":"fonts/**","headers":{"ContentDisposition":"inline"}}] (JSON)' },
+  { name: 'gzipHeaders', type: 'json', description: 'extra params used by `AWS.S3` upload method for GZIP files (JSON)' },
+  { name: 'gzipHashedFileKeyRegexp', type: 'regexp', description: 'gzip the hashed files that match this pattern' },
+  { name: 'brotliHeaders', type: 'json', description: 'extra params used by `AWS.S3` upload method for Brotli files (JSON)' },
+  { name: 'brotliHashedFileKeyRegexp', type: 'regexp', description: 'add a Brotli variant (.br) of the hashed files that match this pattern' },
+  { name: 'hashedOriginalFileRegexp', type: 'regexpOrBoolean', description: 'respect hashes in original filenames' },
+  { name: 'hashAlgorithm', type: 'string', description: 'the algorithm of the hashes in hashed file keys (default: md5)' },
+  { name: 'hashEncoding', type: 'string', description: 'the encoding of the hashes in hashed file keys: hex (default) or base64url' },
+  { name: 'hashLength', type: 'number', description: 'truncate the hashes in hashed file keys to this many characters' },
+  { name: 'integrity', type: 'boolean', description: 'upload the Subresource Integrity (sha384) of each digest entry' },
+  { name: 'integrityFileKey', type: 'string', description: 'the destination key of the integrity file' },
+  { name: 'htmlIntegrity', type: 'boolean', description: 'add integrity attributes to the script and stylesheet tags of HTML files' },
+  { name: 'jsAssetUrls', type: 'boolean', description: 'rewrite the quoted asset URLs (beginning with the JS public path) in JS files' },
+  { name: 'jsPublicPath', type: 'string', description: 'the URL path the file names are served under (default: /)' },
+  { name: 'sourceMaps', type: 'json', description: 'how source maps are rewritten and uploaded, e.g. {"stripSourcesContent":true,"private":true} (JSON)' },
+  { name: 'transforms', type: 'json', description: 'custom transforms of the file contents (in a config.js file, as they are functions)' },
+  { name: 'manifests', type: 'json', description: 'render the digest as these manifest files, e.g. [{"format":"vite","localPath":"manifest.json"}] (JSON)' },
+  { name: 'includePseudoUnhashedOriginalFilesInDigest', type: 'boolean', description: 'add pseudo-entries to the digest' },
+  { name: 'pairPrecompressedFiles', type: 'boolean', description: 'treat .gz/.br siblings as encoding variants of their file' },
+  { name: 'forceUpload', type: 'boolean', description: 'skip the etag modified lookup for keys before uploading' },
+  { name: 'stateFile', type: 'string', description: 'cache the file hashes and uploaded ETags in this local file between runs' },
+  { name: 'verifyRemote', type: 'boolean', description: 'compare keys with the remote objects even when the state file says they are up to date' },
+  { name: 'prefetchRemoteState', type: 'boolean', description: 'list the remote objects under the prefix once, rather than looking up each key' },
+  { name: 'noUpload', type: 'boolean', description: 'don\'t upload anything, just generate a digest mapping' },
+  { name: 'noUploadDigestFile', type: 'boolean', description: 'don\'t upload the digest mapping file' },
+  { name: 'noUploadOriginalFiles', type: 'boolean', description: 'don\'t upload the original (unhashed) files' },
+  { name: 'noUploadHashedFiles', type: 'boolean', description: 'don\'t upload the hashed files' },
+  { name: 'concurrency', type: 'number', description: 'the number of files to hash or upload at once' },
+  { name: 'hashConcurrency', type: 'number', description: 'the number of files to hash at once' },
+  { name: 'uploadConcurrency', type: 'number', description: 'the number of files to upload at once' },
+  { name: 'retries', type: 'number', description: 'the number of times to retry a key after a retryable S3 error' },
+  { name: 'retryBaseDelay', type: 'number', description: 'the delay (ms) before the first retry, doubled for each retry' },
+  { name: 'retryMaxDelay', type: 'number', description: 'the maximum delay (ms) between retries' },
+  { name: 'continueOnError', type: 'boolean', description: 'sync the other files after a key fails, then fail without uploading the digest' },
+  { name: 'digestHistoryKey', type: 'string', description: 'the destination key of the digest history file' },
+  { name: 'digestHistoryLength', type: 'number', description: 'the number of digests kept in the digest history file' },
+  { name: 'pruneKeepDigests', type: 'number', description: 'prune keeps the keys referenced by this many recent digests' },
+  { name: 'pruneMinAge', type: 'number', description: 'prune only deletes keys last modified this many seconds ago' },
+  { name: 'pruneDryRun', type: 'boolean', description: 'prune lists the keys it would delete, without deleting them' },
+  { name: 'release', type: 'string', description: 'identifies the release created by run (default: a timestamp)' },
+  { name: 'watchDebounce', type: 'number', description: 'watch waits until nothing has changed for this many ms (default: 300)' }
+]
+
+/**
+ * @typedef {Object} CliFlags
+ * @property {string} command
+ * @property {string} [config] - the config file path
+ * @property {string} [env] - the config file environment overlay to apply
+ * @property {string} [digestOutput] - write the digest to this local path
+ * @property {string} [to] - the release to rollback to
+ * @property {planLib.PlanFormat} [format] - how to print the plan
+ * @property {boolean} [prune] - include the deletions of a subsequent prune in the plan
+ * @property {boolean} help
+ * @property {Object.<string,*>} settings - `S3SyncConfig` and `S3SyncOptions` values
+ */
+
+/**
+ * @typedef {Object} CliSettings
+ * @property {import('../index').S3SyncConfig} config
+ * @property {import('../index').S3SyncOptions} options
+ */
+
+/**
+ * @callback CliCommandAction
+ * @param {CliSettings} settings
+ * @param {CliFlags} flags
+ * @returns {Promise.<(number|void)>} the process exit code, unless it is `0`
+ */
+
+/**
+ * @typedef {Object} CliCommand
+ * @property {CliCommandAction} action
+ * @property {string} description
+ * @property {boolean} [requiresPath] - otherwise `path` defaults to the working directory
+ */
+
+/** @type {Object.<string,CliCommand>} */
+const COMMANDS = {
+  run: {
+    action: runCommand,
+    description: 'upload the files and the digest',
+    requiresPath: true
+  },
+  plan: {
+    action: planCommand,
+    description: 'list what run (and prune, with --prune) would do, without writing anything',
+    requiresPath: true
+  },
+  verify: {
+    action: verifyCommand,
+    description: 'check each uploaded key, and list the keys nothing references (fails on a mismatch)',
+    requiresPath: true
+  },
+  watch: {
+    action: watchCommand,
+    description: 'run, then sync the changed files and the digest until interrupted',
+    requiresPath: true
+  },
+  prune: {
+    action: pruneCommand,
+    description: 'delete hashed keys not referenced by recent digests'
+  },
+  releases: {
+    action: releasesCommand,
+    description: 'list the releases in the digest history'
+  },
+  rollback: {
+    action: rollbackCommand,
+    description: 're-point the digest and original keys at the --to (or previous) release'
+  }
+}
+
+/**
+ * Thrown for mistakes in the command line arguments or config file
+ */
+class CliUsageError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message)
+    this.name = 'CliUsageError'
+  }
+}
+
+/**
+ * Runs the command line interface and resolves with the process exit code
+ * @param {Array.<string>} argv - the arguments after the program name
+ * @returns {Promise.<number>}
+ * @public
+ */
+async function main(argv) {
+  try {
+    const flags = parseArgs(argv)
+    if (flags.help) {
+      process.stdout.write(usage())
+      return 0
+    }
+    const settings = resolveSettings(flags)
+    const exitCode = await COMMANDS[flags.command].action(settings, flags)
+    return exitCode || 0
+  } catch (err) {
+    process.stderr.write(errorSummary(err))
+    return err instanceof CliUsageError ? EXIT_CODE_USAGE : EXIT_CODE_FAILURE
+  }
+}
+
+/**
+ * @param {CliSettings} settings
+ * @param {CliFlags} flags
+ * @returns {Promise.<void>}
+ */
+async function runCommand({ config, options }, flags) {
+  // Required lazily to avoid a circular import with the top-level module
+  const { S3Sync } = require('../index')
+  const digest = await new S3Sync(config, options).run()
+  await writeOutput(digest, flags)
+}
+
+/**
+ * @param {CliSettings} settings
+ * @param {CliFlags} flags
+ * @returns {Promise.<void>}
+ */
+async function planCommand({ config, options }, flags) {
+  const { S3Sync } = require('../index')
+  const actions = await new S3Sync(config, options).plan({ prune: flags.prune })
+  await writeOutput(actions, flags, planLib.formatPlan(actions, flags.format))
+}
+
+/**
+ * @param {CliSettings} settings
+ * @param {CliFlags} flags
+ * @returns {Promise.<number>}
+ */
+async function verifyCommand({ config, options }, flags) {
+  const { S3Sync } = require('../index')
+  const verifyResult = await new S3Sync(config, options).verify()
+  await writeOutput(verifyResult, flags)
+  return verifyResult.ok ? 0 : EXIT_CODE_FAILURE
+}
+
+/**
+ * Prints a line of JSON for each cycle, until the process is interrupted
+ * @param {CliSettings} settings
+ * @returns {Promise.<void>}
+ */
+async function watchCommand({ config, options }) {
+  const { S3Sync } = require('../index')
+  const watcher = await new S3Sync(config, options).watch(cycle => {
+    // The digests are left out for readability
+    const cycleSummary = {
+      cycle: cycle.cycle,
+      changedFilePaths: cycle.changedFilePaths,
+      syncedFileCount: cycle.syncedFilePaths.length,
+      duration: cycle.duration,
+      error: cycle.error && cycle.error.message
+    }
+    process.stdout.write(`${JSON.stringify(cycleSummary)}\n`)
+  })
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve)
+    process.once('SIGTERM', resolve)
+  })
+  await watcher.close()
+}
+
+/**
+ * @param {CliSettings} settings
+ * @param {CliFlags} flags
+ * @returns {Promise.<void>}
+ */
+async function pruneCommand({ config, options }, flags) {
+  const { S3Sync } = require('../index')
+  const pruneResult = await new S3Sync(config, options).prune()
+  await writeOutput(pruneResult, flags)
+}
+
+/**
+ * @param {CliSettings} settings
+ * @param {CliFlags} flags
+ * @returns {Promise.<void>}
+ */
+async function releasesCommand({ config, options }, flags) {
+  const { S3Sync } = require('../index')
+  const releases = await new S3Sync(config, options).releases()
+  // The digests are left out for readability
+  const releaseSummaries = releases.map(({ release, createdAt, digestKey, rollback }) => {
+    return { release, createdAt, digestKey, rollback: Boolean(rollback) }
+  })
+  await writeOutput(releaseSummaries, flags)
+}
+
+/**
+ * @param {CliSettings} settings
+ * @param {CliFlags} flags
+ * @returns {Promise.<void>}
+ */
+async function rollbackCommand({ config, options }, flags) {
+  const { S3Sync } = require('../index')
+  const { digest } = await new S3Sync(config, options).rollback(flags.to)
+  await writeOutput(digest, flags)
+}
+
+/**
+ * Writes the JSON result to `--digest-output`, or prints it (or its text rendering)
+ * @param {*} result
+ * @param {CliFlags} flags
+ * @param {string} [text] - printed instead of the JSON result
+ * @returns {Promise.<void>}
+ */
+async function writeOutput(result, flags, text) {
+  const json = `${JSON.stringify(result, null, 2)}\n`
+  if (flags.digestOutput) {
+    await Bluebird.fromCallback(callback => {
+      fs.writeFile(flags.digestOutput, json, callback)
+    })
+  } else {
+    process.stdout.write(text || json)
+  }
+}
+
+/**
+ * @param {Array.<string>} argv
+ * @returns {CliFlags}
+ * @throws {CliUsageError}
+ */
+function parseArgs(argv) {
+  /** @type {CliFlags} */
+  const flags = {
+    command: 'run',
+    help: false,
+    settings: {}
+  }
+  /** @type {Array.<string>} */
+  const positionals = []
+  let index = 0
+  while (index < argv.length) {
+    const arg = argv[index++]
+    if (!arg.startsWith('-')) {
+      positionals.push(arg)
+      continue
+    }
+    const [flag, inlineValue] = splitFlag(arg)
+    switch (flag) {
+      case '-h':
+      case '--help':
+        flags.help = true
+        continue
+      case '-c':
+      case '--config':
+        flags.config = takeValue(flag, inlineValue)
+        continue
+      case '-e':
+      case '--env':
+        flags.env = takeValue(flag, inlineValue)
+        continue
+      case '-o':
+      case '--digest-output':
+        flags.digestOutput = takeValue(flag, inlineValue)
+        continue
+      case '-t':
+      case '--to':
+        flags.to = takeValue(flag, inlineValue)
+        continue
+      case '-f':
+      case '--format': {
+        const format = takeValue(flag, inlineValue)
+        if (format !== 'table' && format !== 'json') {
+          throw new CliUsageError(`Expected "table" or "json" for "${flag}", got "${format}"`)
+        }
+        flags.format = format
+        continue
+      }
+      case '--prune':
+        flags.prune = true
+        continue
+    }
+    const definition = OPTION_DEFINITIONS.find(({ name }) => `--${kebabCase(name)}` === flag)
+    if (!definition) {
+      throw new CliUsageError(`Unknown flag "${flag}"`)
+    }
+    const rawValue = definition.type === 'boolean'
+    ? (inlineValue === undefined ? 'true' : inlineValue)
+    : takeValue(flag, inlineValue)
+    const value = coerceValue(definition, rawValue, flag)
+    if (definition.type === 'patternList' || definition.type === 'stringList') {
+      flags.settings[definition.name] = [...(flags.settings[definition.name] || []), ...value]
+    } else {
+      flags.settings[definition.name] = value
+    }
+  }
+  if (positionals.length > 1) {
+    throw new CliUsageError(`Unexpected argument "${positionals[1]}"`)
+  }
+  if (positionals.length) {
+    flags.command = positionals[0]
+  }
+  if (!COMMANDS[flags.command]) {
+    throw new CliUsageError(`Unknown command "${flags.command}"`)
+  }
+  return flags
+
+  /**
+   * Uses the `--flag=value` value, or consumes the next argument
+   * @param {string} flag
+   * @param {string} [inlineValue]
+   * @returns {string}
+   */
+  function takeValue(flag, inlineValue) {
+    if (inlineValue !== undefined) {
+      return inlineValue
+    }
+    if (index >= argv.length) {
+      throw new CliUsageError(`Missing value for "${flag}"`)
+    }
+    return argv[index++]
+  }
+}
+
+/**
+ * Merges the config file, its environment overlay and the command line flags
+ * @param {CliFlags} flags
+ * @returns {CliSettings}
+ * @throws {CliUsageError}
+ */
+function resolveSettings(flags) {
+  const configFile = loadConfigFile(flags.config)
+  /** @type {Object.<string,*>} */
+  let settings = {}
+  if (configFile) {
+    const { env: environments = {}, ...baseSettings } = configFile.contents
+    settings = coerceSettings(baseSettings, configFile.filePath)
+    if (flags.env) {
+      if (!environments[flags.env]) {
+        throw new CliUsageError(`Unknown env "${flags.env}" in ${configFile.filePath}`)
+      }
+      Object.assign(settings, coerceSettings(environments[flags.env], configFile.filePath))
+    }
+  } else if (flags.env) {
+    throw new CliUsageError('The --env flag requires a config file')
+  }
+  Object.assign(settings, flags.settings)
+  if (!settings.bucket && !settings.localPath) {
+    throw new CliUsageError('Missing required option "bucket" (or "localPath")')
+  }
+  if (!settings.path && !settings.sources) {
+    if (COMMANDS[flags.command].requiresPath) {
+      throw new CliUsageError('Missing required option "path" (or "sources")')
+    }
+    settings.path = '.'
+  }
+  /** @type {Object.<string,*>} */
+  const config = {}
+  /** @type {Object.<string,*>} */
+  const options = {}
+  for (let definition of OPTION_DEFINITIONS) {
+    if (settings[definition.name] !== undefined) {
+      const target = definition.isConfig ? config : options
+      target[definition.name] = settings[definition.name]
+    }
+  }
+  return {
+    config: /** @type {import('../index').S3SyncConfig} */ (config),
+    options: /** @type {import('../index').S3SyncOptions} */ (options)
+  }
+}
+
+/**
+ * @param {string} [configFilePath] - explicit path, otherwise the default names are searched
+ * @returns {{ filePath: string, contents: Object.<string,*> }|void}
+ * @throws {CliUsageError}
+ */
+function loadConfigFile(configFilePath) {
+  const candidatePaths = configFilePath
+  ? [path.resolve(configFilePath)]
+  : CONFIG_FILE_NAMES.map(fileName => path.resolve(fileName))
+  const filePath = candidatePaths.find(candidatePath => fs.existsSync(candidatePath))
+  if (!filePath) {
+    if (configFilePath) {
+      throw new CliUsageError(`Config file not found: ${configFilePath}`)
+    }
+    return
+  }
+  let contents
+  try {
+    contents = require(filePath)
+  } catch (err) {
+    throw new CliUsageError(`Unable to load ${filePath}: ${err.message}`)
+  }
+  if (!contents || typeof contents !== 'object') {
+    throw new CliUsageError(`Expected ${filePath} to export an Object`)
+  }
+  return { filePath, contents }
+}
+
+/**
+ * @param {Object.<string,*>} rawSettings
+ * @param {string} source - where the settings came from, for error messages
+ * @returns {Object.<string,*>}
+ * @throws {CliUsageError}
+ */
+function coerceSettings(rawSettings, source) {
+  /** @type {Object.<string,*>} */
+  const settings = {}
+  for (let [name, rawValue] of Object.entries(rawSettings)) {
+    const definition = OPTION_DEFINITIONS.find(definition => definition.name === name)
+    if (!definition) {
+      throw new CliUsageError(`Unknown option "${name}" in ${source}`)
+    }
+    settings[name] = coerceValue(definition, rawValue, `"${name}" in ${source}`)
+  }
+  return settings
+}
+
+/**
+ * Converts a command line string (or config file value) into the option's type
+ * @param {OptionDefinition} definition
+ * @param {*} value
+ * @param {string} source - where the value came from, for error messages
+ * @returns {*}
+ * @throws {CliUsageError}
+ */
+function coerceValue(definition, value, source) {
+  switch (definition.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value
+      }
+      if (value === 'true' || value === 'false') {
+        return value === 'true'
+      }
+      throw new CliUsageError(`Expected a boolean for ${source}, got "${value}"`)
+    case 'number':
+      if (typeof value === 'number' || (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value))) {
+        return Number(value)
+      }
+      throw new CliUsageError(`Expected a number for ${source}, got "${value}"`)
+    case 'json':
+      if (typeof value !== 'string') {
+        return value
+      }
+      try {
+        return JSON.parse(value)
+      } catch (err) {
+        throw new CliUsageError(`Expected JSON for ${source}: ${err.message}`)
+      }
+    case 'regexp':
+      return toRegExp(value, source)
+    case 'regexpOrBoolean':
+      if (typeof value === 'boolean') {
+        return value
+      }
+      if (value === 'true' || value === 'false') {
+        return value === 'true'
+      }
+      return toRegExp(value, source)
+    case 'patternList':
+      return (Array.isArray(value) ? value : [value]).map(pattern => {
+        return typeof pattern === 'string' && REGEXP_LITERAL_REGEXP.test(pattern)
+        ? toRegExp(pattern, source)
+        : pattern
+      })
+    case 'stringList':
+      return (Array.isArray(value) ? value : [value]).map(String)
+    default:
+      return value
+  }
+}
+
+/**
+ * Accepts a `RegExp`, a `/pattern/flags` literal or a bare pattern
+ * @param {*} value
+ * @param {string} source
+ * @returns {RegExp}
+ * @throws {CliUsageError}
+ */
+function toRegExp(value, source) {
+  if (value instanceof RegExp) {
+    return value
+  }
+  const literalMatch = String(value).match(REGEXP_LITERAL_REGEXP)
+  try {
+    return literalMatch
+    ? new RegExp(literalMatch[1], literalMatch[2])
+    : new RegExp(value)
+  } catch (err) {
+    throw new CliUsageError(`Invalid regular expression for ${source}: ${err.message}`)
+  }
+}
+
+/**
+ * @param {string} arg
+ * @returns {[string, (string|undefined)]} the flag and its `=value`, if any
+ */
+function splitFlag(arg) {
+  const equalsIndex = arg.indexOf('=')
+  return equalsIndex === -1
+  ? [arg, undefined]
+  : [arg.substring(0, equalsIndex), arg.substring(equalsIndex + 1)]
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function kebabCase(name) {
+  return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+}
+
+/**
+ * @param {*} err
+ * @returns {string}
+ */
+function errorSummary(err) {
+  const lines = [`${PROGRAM_NAME}: ${err.name || 'Error'}: ${err.message}`]
+  if (err.code && err.code !== err.name) {
+    lines.push(`  code: ${err.code}`)
+  }
+  if (err instanceof CliUsageError) {
+    lines.push(`  Run "${PROGRAM_NAME} --help" for usage`)
+  }
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * @returns {string}
+ */
+function usage() {
+  const optionLines = OPTION_DEFINITIONS.map(({ name, type, description }) => {
+    const flag = type === 'boolean' ? `--${kebabCase(name)}` : `--${kebabCase(name)} <${type}>`
+    return `  ${flag.padEnd(56)}${description}`
+  })
+  return [
+    `Usage: ${PROGRAM_NAME} [command] [options]`,
+    '',
+    'The command defaults to "run".',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(56)}${description}`),
+    '',
+    'Options:',
+    `  ${'-c, --config <path>'.padEnd(56)}load settings from this file (default: ${CONFIG_FILE_NAMES.join(' or ')})`,
+    `  ${'-e, --env <name>'.padEnd(56)}apply this environment overlay from the config file`,
+    `  ${'-o, --digest-output <path>'.padEnd(56)}write the result to this file instead of printing it`,
+    `  ${'-t, --to <release>'.padEnd(56)}the release to rollback to (default: the previous release)`,
+    `  ${'-f, --format <table|json>'.padEnd(56)}how plan prints its actions (default: table)`,
+    `  ${'--prune'.padEnd(56)}plan also lists the deletions of a subsequent prune`,
+    `  ${'-h, --help'.padEnd(56)}show this message`,
+    ...optionLines,
+    ''
+  ].join('\n')
+}
+
+module.exports = {
+  CliUsageError,
+  OPTION_DEFINITIONS,
+  main,
+  parseArgs,
+  resolveSettings
+}
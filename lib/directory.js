@@ -3,13 +3,27 @@ const fs = require('fs')
 const path = require('path')
 // NPM imports
 const Bluebird = require('bluebird')
+// Lib imports
+const fileLib = require('./file')
+const ignoreLib = require('./ignore')
+
+const DOTFILE_SEGMENT_REGEXP = /(^|\/)\./
+
+/**
+ * Which paths (relative to the base path) are skipped
+ * @typedef {Object} PathFilters
+ * @property {(RegExp|string)[]} [ignorePaths] - skip the paths matching these
+ * @property {Array.<ignoreLib.IgnoreRule>} [exclude] - skip the paths matching these rules
+ * @property {Array.<ignoreLib.IgnoreRule>} [include] - skip the files not matching these rules (unless empty)
+ * @property {boolean} [ignoreDotfiles] - skip the paths with a file or directory name beginning with `.`
+ */
 
 /**
  * @param {string} basePath
- * @param {(RegExp|string)[]} filters
+ * @param {PathFilters} [filters]
  * @returns {Promise.<string[]>} The full paths of all files in the directory
  */
-async function getFileNames(basePath, filters = []) {
+async function getFileNames(basePath, filters = {}) {
   return recurseDirectory(basePath)
 
   /**
@@ -22,7 +36,7 @@ async function getFileNames(basePath, filters = []) {
     })
     const filePaths = await Bluebird.map(dirents, dirent => {
       const fullPath = path.resolve(dirPath, dirent.name)
-      if (isFiltered(fullPath)) {
+      if (isFilteredPath(basePath, fullPath, filters, dirent.isDirectory())) {
         return []
       }
       if (dirent.isDirectory()) {
@@ -32,17 +46,55 @@ async function getFileNames(basePath, filters = []) {
     })
     return Array.prototype.concat(...filePaths)
   }
+}
 
-  /**
-   * @param {string} fullPath
-   * @returns {boolean}
-   */
-  function isFiltered(fullPath) {
-    const relativePath = path.relative(basePath, fullPath)
-    return filters.some(filter => !!relativePath.match(filter))
+/**
+ * @param {string} basePath
+ * @param {string} fullPath
+ * @param {PathFilters} filters
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ */
+function isFilteredPath(basePath, fullPath, { ignorePaths = [], exclude = [], include = [], ignoreDotfiles }, isDirectory) {
+  const relativePath = path.relative(basePath, fullPath)
+  if (ignorePaths.some(filter => !!relativePath.match(filter))) {
+    return true
+  }
+  const posixRelativePath = relativePath.split(path.sep).join('/')
+  if (ignoreDotfiles && DOTFILE_SEGMENT_REGEXP.test(posixRelativePath)) {
+    return true
+  }
+  if (ignoreLib.matchesIgnoreRules(exclude, posixRelativePath, isDirectory)) {
+    return true
+  }
+  // Directories are walked, whether or not they match, to find the files which do
+  return !isDirectory && include.length > 0 && !ignoreLib.matchesIgnoreRules(include, posixRelativePath, false)
+}
+
+/**
+ * Groups precompressed siblings (e.g. `app.js.gz` and `app.js.br`) with the
+ * file they were compressed from (e.g. `app.js`). Compressed files without an
+ * uncompressed sibling are not grouped.
+ * @param {string[]} filePaths
+ * @returns {Map.<string,string[]>} The file paths mapped to their precompressed siblings
+ */
+function groupPrecompressedFiles(filePaths) {
+  const filePathSet = new Set(filePaths)
+  /** @type {Map.<string,string[]>} */
+  const fileGroups = new Map()
+  for (let filePath of filePaths) {
+    const baseFilePath = fileLib.uncompressedFilePath(filePath)
+    if (baseFilePath === filePath || !filePathSet.has(baseFilePath)) {
+      fileGroups.set(filePath, fileGroups.get(filePath) || [])
+    } else {
+      fileGroups.set(baseFilePath, [...(fileGroups.get(baseFilePath) || []), filePath])
+    }
   }
+  return fileGroups
 }
 
 module.exports = {
-  getFileNames
+  getFileNames,
+  groupPrecompressedFiles,
+  isFilteredPath
 }
@@ -2,17 +2,29 @@
 const mime = require('mime')
 
 const EXTENSION_GZ_REGEXP = /\.gz$/
-const EXTENSION_JS_REGEXP = /\.js(\.gz)?$/
-const EXTENSION_CSS_REGEXP = /\.css(\.gz)?$/
+const EXTENSION_BR_REGEXP = /\.br$/
+const EXTENSION_COMPRESSED_REGEXP = /\.(gz|br)$/
+const EXTENSION_JS_REGEXP = /\.js(\.gz|\.br)?$/
+const EXTENSION_CSS_REGEXP = /\.css(\.gz|\.br)?$/
+const EXTENSION_HTML_REGEXP = /\.html?(\.gz|\.br)?$/
 const EXTENSION_SOURCEMAP_REGEXP = /\.(js|css)\.map$/
-const EXTENSION_SVG_REGEXP = /\.svg(\.gz)?$/
+const EXTENSION_MAP_REGEXP = /\.map$/
+const EXTENSION_SVG_REGEXP = /\.svg(\.gz|\.br)?$/
 
 const CONTENT_TYPE_BINARY = 'application/octet-stream'
 const CONTENT_TYPE_CSS = 'text/css'
+const CONTENT_TYPE_HTML = 'text/html'
 const CONTENT_TYPE_JS = 'application/javascript'
 const CONTENT_TYPE_JSON = 'application/json'
 const CONTENT_TYPE_SVG = 'image/svg+xml'
 
+/** @type {ContentEncoding} */
+const CONTENT_ENCODING_GZIP = 'gzip'
+/** @type {ContentEncoding} */
+const CONTENT_ENCODING_BROTLI = 'br'
+
+/** @typedef {'gzip'|'br'} ContentEncoding */
+
 /**
  * @param {string} filePath The absolute path to the file
  * @returns {string} The MIME type of the file
@@ -25,6 +37,9 @@ function getContentType(filePath) {
   if (EXTENSION_CSS_REGEXP.test(filePath)) {
     return CONTENT_TYPE_CSS
   }
+  if (EXTENSION_HTML_REGEXP.test(filePath)) {
+    return CONTENT_TYPE_HTML
+  }
   if (EXTENSION_SOURCEMAP_REGEXP.test(filePath)) {
     return CONTENT_TYPE_JSON
   }
@@ -42,11 +57,64 @@ function isGzipped(filePath) {
   return EXTENSION_GZ_REGEXP.test(filePath)
 }
 
+/**
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isBrotliCompressed(filePath) {
+  return EXTENSION_BR_REGEXP.test(filePath)
+}
+
+/**
+ * @param {string} filePath
+ * @returns {(ContentEncoding|void)} The encoding implied by the file extension
+ */
+function getContentEncoding(filePath) {
+  if (isGzipped(filePath)) {
+    return CONTENT_ENCODING_GZIP
+  }
+  if (isBrotliCompressed(filePath)) {
+    return CONTENT_ENCODING_BROTLI
+  }
+}
+
+/**
+ * @param {string} filePath
+ * @returns {boolean} Whether the file is the source map of a JS or CSS file
+ */
+function isSourceMap(filePath) {
+  return EXTENSION_SOURCEMAP_REGEXP.test(filePath)
+}
+
+/**
+ * @param {string} filePath The path to a source map
+ * @returns {string} The path to the file it is named after (`app.js` for `app.js.map`)
+ */
+function generatedFilePath(filePath) {
+  return filePath.replace(EXTENSION_MAP_REGEXP, '')
+}
+
+/**
+ * @param {string} filePath
+ * @returns {string} The file path without its compression extension
+ */
+function uncompressedFilePath(filePath) {
+  return filePath.replace(EXTENSION_COMPRESSED_REGEXP, '')
+}
+
 module.exports = {
+  CONTENT_ENCODING_BROTLI,
+  CONTENT_ENCODING_GZIP,
   CONTENT_TYPE_BINARY,
   CONTENT_TYPE_CSS,
+  CONTENT_TYPE_HTML,
   CONTENT_TYPE_JS,
   CONTENT_TYPE_JSON,
+  generatedFilePath,
+  getContentEncoding,
   getContentType,
-  isGzipped
+  isBrotliCompressed,
+  isGzipped,
+  isSourceMap,
+  uncompressedFilePath
 }
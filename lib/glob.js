@@ -0,0 +1,61 @@
+const GLOB_SPECIAL_CHARACTERS_REGEXP = /[\\^$.|+()[\]]/
+
+/**
+ * A glob pattern (e.g. `**\/*.{js,css}`) or a regular expression
+ * @typedef {(RegExp|string)} PathPattern
+ */
+
+/**
+ * Converts a glob pattern to a regular expression matching whole relative paths:
+ * `*` matches within a path segment, `**` matches across segments, `?` matches
+ * one character and `{a,b}` matches either alternative
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = ''
+  let braceDepth = 0
+  for (let index = 0; index < pattern.length; index++) {
+    const character = pattern[index]
+    if (character === '*' && pattern[index + 1] === '*') {
+      index++
+      if (pattern[index + 1] === '/') {
+        // `**/` also matches no directories at all
+        index++
+        source += '(?:.*/)?'
+      } else {
+        source += '.*'
+      }
+    } else if (character === '*') {
+      source += '[^/]*'
+    } else if (character === '?') {
+      source += '[^/]'
+    } else if (character === '{') {
+      braceDepth++
+      source += '(?:'
+    } else if (character === '}' && braceDepth) {
+      braceDepth--
+      source += ')'
+    } else if (character === ',' && braceDepth) {
+      source += '|'
+    } else if (GLOB_SPECIAL_CHARACTERS_REGEXP.test(character)) {
+      source += `\\${character}`
+    } else {
+      source += character
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * @param {PathPattern} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : globToRegExp(pattern)
+}
+
+module.exports = {
+  globToRegExp,
+  patternToRegExp
+}
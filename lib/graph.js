@@ -0,0 +1,126 @@
+/**
+ * A mapping of each node to the nodes it depends upon
+ * @typedef {Map.<string,Array.<string>>} DependencyGraph
+ */
+
+/**
+ * Thrown when a dependency graph cannot be ordered because of reference cycles
+ */
+class DependencyCycleError extends Error {
+  /**
+   * @param {Array.<Array.<string>>} cycles - each cycle begins and ends with the same node
+   */
+  constructor(cycles) {
+    const description = cycles.map(cycle => cycle.join(' -> ')).join('; ')
+    super(`Dependency cycle detected: ${description}`)
+    this.name = 'DependencyCycleError'
+    this.cycles = cycles
+  }
+}
+
+/**
+ * Orders the nodes of the graph so that every node comes after its dependencies.
+ * Nodes are otherwise kept in the insertion order of the graph.
+ * @param {DependencyGraph} graph
+ * @returns {Array.<string>}
+ * @throws {DependencyCycleError}
+ */
+function topologicalSort(graph) {
+  /** @type {Array.<string>} */
+  const sortedNodes = []
+  /** @type {Array.<Array.<string>>} */
+  const cycles = []
+  /** @type {Set.<string>} */
+  const visitedNodes = new Set()
+  /** @type {Array.<string>} */
+  const visitingNodes = []
+
+  for (let node of graph.keys()) {
+    visit(node)
+  }
+  if (cycles.length) {
+    throw new DependencyCycleError(cycles)
+  }
+  return sortedNodes
+
+  /**
+   * @param {string} node
+   * @returns {void}
+   */
+  function visit(node) {
+    if (visitedNodes.has(node)) {
+      return
+    }
+    const visitingIndex = visitingNodes.indexOf(node)
+    if (visitingIndex !== -1) {
+      cycles.push([...visitingNodes.slice(visitingIndex), node])
+      return
+    }
+    visitingNodes.push(node)
+    for (let dependency of graph.get(node) || []) {
+      visit(dependency)
+    }
+    visitingNodes.pop()
+    visitedNodes.add(node)
+    sortedNodes.push(node)
+  }
+}
+
+/**
+ * Groups the nodes of the graph into levels, where every node only depends
+ * upon nodes in earlier levels; the nodes within a level are independent.
+ * @param {DependencyGraph} graph
+ * @returns {Array.<Array.<string>>}
+ * @throws {DependencyCycleError}
+ */
+function topologicalLevels(graph) {
+  /** @type {Map.<string,number>} */
+  const nodeToLevelMap = new Map()
+  /** @type {Array.<Array.<string>>} */
+  const levels = []
+  for (let node of topologicalSort(graph)) {
+    const dependencyLevels = (graph.get(node) || []).map(dependency => nodeToLevelMap.get(dependency))
+    const level = Math.max(-1, ...dependencyLevels) + 1
+    nodeToLevelMap.set(node, level)
+    levels[level] = levels[level] || []
+    levels[level].push(node)
+  }
+  return levels
+}
+
+/**
+ * Finds the nodes which depend upon any of the given nodes, directly or indirectly
+ * @param {Array.<DependencyGraph>} graphs - the dependencies in all of these graphs are followed
+ * @param {Iterable.<string>} nodes
+ * @returns {Set.<string>} the given nodes, and their dependents
+ */
+function dependentNodes(graphs, nodes) {
+  /** @type {Map.<string,Array.<string>>} */
+  const nodeToDependentsMap = new Map()
+  for (let graph of graphs) {
+    for (let [node, dependencies] of graph) {
+      for (let dependency of dependencies) {
+        nodeToDependentsMap.set(dependency, [...(nodeToDependentsMap.get(dependency) || []), node])
+      }
+    }
+  }
+  const foundNodes = new Set(nodes)
+  const pendingNodes = [...foundNodes]
+  while (pendingNodes.length) {
+    const node = /** @type {string} */ (pendingNodes.pop())
+    for (let dependent of nodeToDependentsMap.get(node) || []) {
+      if (!foundNodes.has(dependent)) {
+        foundNodes.add(dependent)
+        pendingNodes.push(dependent)
+      }
+    }
+  }
+  return foundNodes
+}
+
+module.exports = {
+  DependencyCycleError,
+  dependentNodes,
+  topologicalLevels,
+  topologicalSort
+}
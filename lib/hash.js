@@ -3,48 +3,214 @@ const crypto = require('crypto')
 const fs = require('fs')
 
 const HASH_ALGORITHM = 'md5'
-const HASH_DIGEST_ENCODING = 'hex'
+const HASH_ENCODING_HEX = 'hex'
+const HASH_ENCODING_BASE64URL = 'base64url'
+const INTEGRITY_ALGORITHM = 'sha384'
 
 /** @typedef {string} Hash */
 
+/** @typedef {'hex'|'base64url'} HashEncoding */
+
+/**
+ * How to hash content (by default, as a hex MD5 hash)
+ * @typedef {Object} HashOptions
+ * @property {string} [algorithm] - e.g. `md5`, `sha1` or `sha256`
+ * @property {HashEncoding} [encoding]
+ * @property {number} [length] - truncate the encoded hash to this many characters
+ */
+
 /**
  * Generate a hash of the supplied file
  * @param {string} filePath
+ * @param {HashOptions} [hashOptions]
  * @returns {Promise.<Hash>}
  */
-async function hashFromFile(filePath) {
-  return hashFromStream(fs.createReadStream(filePath))
+async function hashFromFile(filePath, hashOptions) {
+  return hashFromStream(fs.createReadStream(filePath), hashOptions)
 }
 
 /**
  * Generate a hash of the supplied stream
  * @param {NodeJS.ReadableStream} readableStream
+ * @param {HashOptions} [hashOptions]
  * @returns {Promise.<Hash>}
  */
-async function hashFromStream(readableStream) {
+async function hashFromStream(readableStream, hashOptions = {}) {
   return new Promise((resolve, reject) => {
-    const hashStream = crypto.createHash(HASH_ALGORITHM)
+    const hashStream = crypto.createHash(hashOptions.algorithm || HASH_ALGORITHM)
     readableStream.pipe(hashStream)
     .on('error', reject)
     .on('finish', () => {
-      resolve(hashStream.read().toString(HASH_DIGEST_ENCODING))
+      resolve(encodeHash(hashStream.read(), hashOptions))
     })
   })
 }
 
 /**
- * Generate a hash of the supplied string
- * @param {string} data
+ * Generate a hash of the supplied string (or buffer)
+ * @param {(string|Buffer)} data
+ * @param {HashOptions} [hashOptions]
  * @returns {Hash}
  */
-function hashFromString(data) {
-  return crypto.createHash(HASH_ALGORITHM)
+function hashFromString(data, hashOptions = {}) {
+  const digest = crypto.createHash(hashOptions.algorithm || HASH_ALGORITHM)
   .update(data)
-  .digest(HASH_DIGEST_ENCODING)
+  .digest()
+  return encodeHash(digest, hashOptions)
+}
+
+/**
+ * @param {Buffer} digest
+ * @param {HashOptions} hashOptions
+ * @returns {Hash}
+ * @private
+ */
+function encodeHash(digest, { encoding = HASH_ENCODING_HEX, length } = {}) {
+  let hash
+  switch (encoding) {
+    case HASH_ENCODING_HEX:
+      hash = digest.toString(HASH_ENCODING_HEX)
+      break
+    case HASH_ENCODING_BASE64URL:
+      // Node.js only supports the `base64url` encoding from v14.18
+      hash = digest.toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '')
+      break
+    default:
+      throw new TypeError(`Unsupported hash encoding[${encoding}]`)
+  }
+  return length ? hash.substring(0, length) : hash
+}
+
+/**
+ * A regular expression source matching the hashes generated with the options
+ * @param {HashOptions} [hashOptions]
+ * @returns {string}
+ */
+function hashPattern(hashOptions = {}) {
+  const hashLength = hashFromString('', hashOptions).length
+  return hashOptions.encoding === HASH_ENCODING_BASE64URL
+  ? `[0-9A-Za-z_-]{${hashLength}}`
+  : `[0-9a-f]{${hashLength}}`
+}
+
+/**
+ * Generate the Subresource Integrity string (e.g. `sha384-...`) of the supplied stream
+ * @param {NodeJS.ReadableStream} readableStream
+ * @returns {Promise.<string>}
+ */
+async function integrityFromStream(readableStream) {
+  return new Promise((resolve, reject) => {
+    const hashStream = crypto.createHash(INTEGRITY_ALGORITHM)
+    readableStream.pipe(hashStream)
+    .on('error', reject)
+    .on('finish', () => {
+      resolve(`${INTEGRITY_ALGORITHM}-${hashStream.read().toString('base64')}`)
+    })
+  })
+}
+
+/**
+ * Generate the Subresource Integrity string (e.g. `sha384-...`) of the supplied string
+ * @param {(string|Buffer)} data
+ * @returns {string}
+ */
+function integrityFromString(data) {
+  const digest = crypto.createHash(INTEGRITY_ALGORITHM).update(data).digest('base64')
+  return `${INTEGRITY_ALGORITHM}-${digest}`
+}
+
+/**
+ * Generate the ETag S3 gives an object with the supplied content: its hash or,
+ * if it is larger than `partSize` (and so uploaded in parts), the hash of
+ * the hashes of the parts followed by the number of parts
+ * @param {Buffer} data
+ * @param {number} [partSize] - the part size of multipart uploads, if any
+ * @returns {Hash}
+ */
+function etagFromBuffer(data, partSize) {
+  if (!partSize || data.length <= partSize) {
+    return hashFromString(data)
+  }
+  const etagHash = crypto.createHash(HASH_ALGORITHM)
+  let partCount = 0
+  for (let offset = 0; offset < data.length; offset += partSize) {
+    etagHash.update(crypto.createHash(HASH_ALGORITHM).update(data.slice(offset, offset + partSize)).digest())
+    partCount++
+  }
+  return `${etagHash.digest(HASH_ENCODING_HEX)}-${partCount}`
+}
+
+/**
+ * Generate the ETag S3 gives an object with the content of the supplied stream
+ * (see `etagFromBuffer`), without holding more than one part in memory
+ * @param {NodeJS.ReadableStream} readableStream
+ * @param {number} [partSize] - the part size of multipart uploads, if any
+ * @returns {Promise.<Hash>}
+ */
+async function etagFromStream(readableStream, partSize) {
+  if (!partSize) {
+    return hashFromStream(readableStream)
+  }
+  return new Promise((resolve, reject) => {
+    /** @type {Array.<Buffer>} */
+    const partHashes = []
+    let partHash = crypto.createHash(HASH_ALGORITHM)
+    let partLength = 0
+    readableStream.on('data', (/** @type {Buffer} */ chunk) => {
+      for (let offset = 0; offset < chunk.length;) {
+        if (partLength === partSize) {
+          partHashes.push(partHash.digest())
+          partHash = crypto.createHash(HASH_ALGORITHM)
+          partLength = 0
+        }
+        const length = Math.min(partSize - partLength, chunk.length - offset)
+        partHash.update(chunk.slice(offset, offset + length))
+        partLength += length
+        offset += length
+      }
+    })
+    readableStream.on('error', reject)
+    readableStream.on('end', () => {
+      const lastPartHash = partHash.digest()
+      if (!partHashes.length) {
+        resolve(lastPartHash.toString(HASH_ENCODING_HEX))
+        return
+      }
+      partHashes.push(lastPartHash)
+      const etagHash = crypto.createHash(HASH_ALGORITHM)
+      partHashes.forEach(hash => etagHash.update(hash))
+      resolve(`${etagHash.digest(HASH_ENCODING_HEX)}-${partHashes.length}`)
+    })
+  })
+}
+
+/**
+ * Generate both the ETag (see `etagFromBuffer`) and the hash of the content
+ * of the supplied stream, reading it once
+ * @param {NodeJS.ReadableStream} readableStream
+ * @param {number} [partSize] - the part size of multipart uploads, if any
+ * @returns {Promise.<{etag: Hash, hash: Hash}>}
+ */
+async function etagAndHashFromStream(readableStream, partSize) {
+  const contentHash = crypto.createHash(HASH_ALGORITHM)
+  readableStream.on('data', (/** @type {Buffer} */ chunk) => {
+    contentHash.update(chunk)
+  })
+  const etag = await etagFromStream(readableStream, partSize)
+  return { etag, hash: contentHash.digest(HASH_ENCODING_HEX) }
 }
 
 module.exports = {
+  etagAndHashFromStream,
+  etagFromBuffer,
+  etagFromStream,
   hashFromFile,
   hashFromStream,
-  hashFromString
+  hashFromString,
+  hashPattern,
+  integrityFromStream,
+  integrityFromString
 }
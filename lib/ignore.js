@@ -0,0 +1,116 @@
+// Node imports
+const fs = require('fs')
+// NPM imports
+const Bluebird = require('bluebird')
+// Lib imports
+const globLib = require('./glob')
+
+const IGNORE_FILE_NAME = '.s3ignore'
+const LINE_BREAK_REGEXP = /\r?\n/
+const TRAILING_SPACES_REGEXP = /(?<!\\) +$/
+
+/**
+ * A line of a `.gitignore`-style file
+ * @typedef {Object} IgnoreRule
+ * @property {RegExp} regexp - matches the relative paths (with `/` separators) the rule applies to
+ * @property {boolean} negated - the rule re-includes what an earlier rule matched (`!pattern`)
+ * @property {boolean} directoryOnly - the rule only applies to directories (`pattern/`)
+ */
+
+/**
+ * Parses `.gitignore`-style patterns: blank lines and `#` comments are skipped, `!` negates
+ * a pattern, a trailing `/` only matches directories, and a pattern containing a `/`
+ * (other than a trailing one) is anchored to the root, otherwise it matches at any depth
+ * @param {Array.<string>} patterns
+ * @returns {Array.<IgnoreRule>}
+ */
+function parseIgnorePatterns(patterns) {
+  /** @type {Array.<IgnoreRule>} */
+  const rules = []
+  for (let line of patterns) {
+    let pattern = line.replace(TRAILING_SPACES_REGEXP, '')
+    if (!pattern || pattern.startsWith('#')) {
+      continue
+    }
+    const negated = pattern.startsWith('!')
+    if (negated || pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+      pattern = pattern.substring(1)
+    }
+    const directoryOnly = pattern.endsWith('/')
+    if (directoryOnly) {
+      pattern = pattern.substring(0, pattern.length - 1)
+    }
+    const anchored = pattern.includes('/')
+    if (pattern.startsWith('/')) {
+      pattern = pattern.substring(1)
+    }
+    rules.push({
+      regexp: globLib.globToRegExp(anchored ? pattern : `**/${pattern}`),
+      negated,
+      directoryOnly
+    })
+  }
+  return rules
+}
+
+/**
+ * Reads the patterns of a `.gitignore`-style file
+ * @param {string} filePath
+ * @returns {Promise.<Array.<string>>} no patterns if the file does not exist
+ */
+async function readIgnoreFile(filePath) {
+  try {
+    const data = await Bluebird.fromCallback(callback => {
+      fs.readFile(filePath, 'utf8', callback)
+    })
+    return data.split(LINE_BREAK_REGEXP)
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return []
+    }
+    throw err
+  }
+}
+
+/**
+ * Whether the rules match the path, or any of its parent directories (as with `.gitignore`,
+ * the contents of a matched directory cannot be matched differently)
+ * @param {Array.<IgnoreRule>} rules
+ * @param {string} relativePath - with `/` separators
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ */
+function matchesIgnoreRules(rules, relativePath, isDirectory) {
+  const segments = relativePath.split('/')
+  for (let index = 1; index < segments.length; index++) {
+    if (matchesPath(rules, segments.slice(0, index).join('/'), true)) {
+      return true
+    }
+  }
+  return matchesPath(rules, relativePath, isDirectory)
+}
+
+/**
+ * The last rule which matches the path decides
+ * @param {Array.<IgnoreRule>} rules
+ * @param {string} relativePath
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ * @private
+ */
+function matchesPath(rules, relativePath, isDirectory) {
+  let matches = false
+  for (let rule of rules) {
+    if ((isDirectory || !rule.directoryOnly) && rule.regexp.test(relativePath)) {
+      matches = !rule.negated
+    }
+  }
+  return matches
+}
+
+module.exports = {
+  IGNORE_FILE_NAME,
+  matchesIgnoreRules,
+  parseIgnorePatterns,
+  readIgnoreFile
+}
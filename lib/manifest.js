@@ -0,0 +1,190 @@
+// Node imports
+const fs = require('fs')
+const path = require('path')
+// NPM imports
+const Bluebird = require('bluebird')
+// Lib imports
+const fileLib = require('./file')
+
+/** @typedef {import('aws-sdk').S3.ContentType} S3ContentType */
+/** @typedef {import('aws-sdk').S3.ObjectKey} S3ObjectKey */
+
+const MANIFEST_FORMAT_FLAT = 'flat'
+const MANIFEST_FORMAT_WEBPACK = 'webpack-assets-manifest'
+const MANIFEST_FORMAT_SPROCKETS = 'sprockets'
+const MANIFEST_FORMAT_VITE = 'vite'
+
+/**
+ * Everything known about a digest entry
+ * @typedef {Object} RichDigestEntry
+ * @property {S3ObjectKey} key - the hashed key
+ * @property {number} size - the size in bytes of the (decoded) content
+ * @property {S3ContentType} contentType
+ * @property {string} contentHash - the hash in the hashed key
+ * @property {Object.<string,S3ObjectKey>} encodings - the keys of the compressed variants, by content encoding
+ * @property {string} integrity - the Subresource Integrity of the (decoded) content
+ */
+
+/** @typedef {Object.<string,RichDigestEntry>} RichDigest */
+
+/**
+ * @typedef {Object} ManifestContext
+ * @property {string} prefix - prepended to all destination file names
+ * @property {boolean} integrity - whether the `integrity` option is enabled
+ */
+
+/**
+ * Renders the digest as the data of a manifest file
+ * @callback ManifestRenderer
+ * @param {RichDigest} richDigest
+ * @param {ManifestContext} context
+ * @returns {*} the manifest data, serialized as JSON unless it is a string
+ */
+
+/** @typedef {'flat'|'webpack-assets-manifest'|'sprockets'|'vite'} ManifestFormat */
+
+/**
+ * @typedef {Object} ManifestWriter
+ * @property {(ManifestFormat|ManifestRenderer)} format
+ * @property {S3ObjectKey} [key] - upload the manifest to this key
+ * @property {string} [localPath] - write the manifest to this local file
+ */
+
+/** @type {Map.<string,ManifestRenderer>} */
+const MANIFEST_RENDERERS = new Map([
+  [MANIFEST_FORMAT_FLAT, renderFlatManifest],
+  [MANIFEST_FORMAT_WEBPACK, renderWebpackAssetsManifest],
+  [MANIFEST_FORMAT_SPROCKETS, renderSprocketsManifest],
+  [MANIFEST_FORMAT_VITE, renderViteManifest]
+])
+
+/**
+ * @param {ManifestWriter} writer
+ * @returns {void}
+ * @throws {TypeError} if the writer has an unknown format, or nowhere to write to
+ */
+function assertManifestWriter(writer) {
+  if (typeof writer.format !== 'function' && !MANIFEST_RENDERERS.has(writer.format)) {
+    throw new TypeError(`Unknown manifest format[${writer.format}]`)
+  }
+  if (!writer.key && !writer.localPath) {
+    throw new TypeError(`Manifest format[${writer.format}] needs a key or a localPath`)
+  }
+}
+
+/**
+ * @param {(ManifestFormat|ManifestRenderer)} format
+ * @param {RichDigest} richDigest
+ * @param {ManifestContext} context
+ * @returns {string}
+ */
+function renderManifest(format, richDigest, context) {
+  const renderer = typeof format === 'function' ? format : MANIFEST_RENDERERS.get(format)
+  if (!renderer) {
+    throw new TypeError(`Unknown manifest format[${format}]`)
+  }
+  const data = renderer(richDigest, context)
+  return typeof data === 'string' ? data : JSON.stringify(data, null, 2)
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} data
+ * @returns {Promise.<void>}
+ */
+async function writeManifestFile(filePath, data) {
+  await Bluebird.fromCallback(callback => {
+    fs.mkdir(path.dirname(filePath), { recursive: true }, callback)
+  })
+  await Bluebird.fromCallback(callback => {
+    fs.writeFile(filePath, data, callback)
+  })
+}
+
+/**
+ * The same `name → key` map as the digest
+ * @type {ManifestRenderer}
+ */
+function renderFlatManifest(richDigest) {
+  /** @type {Object.<string,S3ObjectKey>} */
+  const manifest = {}
+  for (let [fileName, entry] of Object.entries(richDigest)) {
+    manifest[fileName] = entry.key
+  }
+  return manifest
+}
+
+/**
+ * Like `webpack-assets-manifest`: `name → key`, or `name → { src, integrity }` with `integrity`
+ * @type {ManifestRenderer}
+ */
+function renderWebpackAssetsManifest(richDigest, { integrity }) {
+  /** @type {Object.<string,*>} */
+  const manifest = {}
+  for (let [fileName, entry] of assetEntries(richDigest)) {
+    manifest[fileName] = integrity
+    ? { src: entry.key, integrity: entry.integrity }
+    : entry.key
+  }
+  return manifest
+}
+
+/**
+ * Like the Rails/Sprockets `manifest.json`, with paths relative to `prefix`
+ * @type {ManifestRenderer}
+ */
+function renderSprocketsManifest(richDigest, { prefix }) {
+  /** @type {Object.<string,Object.<string,*>>} */
+  const files = {}
+  /** @type {Object.<string,string>} */
+  const assets = {}
+  for (let [fileName, entry] of assetEntries(richDigest)) {
+    const digestPath = entry.key.startsWith(prefix)
+    ? entry.key.substring(prefix.length)
+    : entry.key
+    files[digestPath] = {
+      'logical_path': fileName,
+      'size': entry.size,
+      'digest': entry.contentHash,
+      'integrity': entry.integrity
+    }
+    assets[fileName] = digestPath
+  }
+  return { files, assets }
+}
+
+/**
+ * Like the Vite `manifest.json`: `name → { file, src }`
+ * @type {ManifestRenderer}
+ */
+function renderViteManifest(richDigest) {
+  /** @type {Object.<string,Object.<string,string>>} */
+  const manifest = {}
+  for (let [fileName, entry] of assetEntries(richDigest)) {
+    manifest[fileName] = { file: entry.key, src: fileName }
+  }
+  return manifest
+}
+
+/**
+ * The entries of the digest, except for the compressed variants of other entries
+ * @param {RichDigest} richDigest
+ * @returns {Array.<[string,RichDigestEntry]>}
+ * @private
+ */
+function assetEntries(richDigest) {
+  return Object.entries(richDigest).filter(([fileName, entry]) => {
+    const baseEntry = richDigest[fileLib.uncompressedFilePath(fileName)]
+    return !baseEntry || baseEntry === entry || !Object.values(baseEntry.encodings).includes(entry.key)
+  })
+}
+
+module.exports = {
+  MANIFEST_FORMAT_FLAT,
+  MANIFEST_FORMAT_SPROCKETS,
+  MANIFEST_FORMAT_VITE,
+  MANIFEST_FORMAT_WEBPACK,
+  assertManifestWriter,
+  renderManifest,
+  writeManifestFile
+}
@@ -0,0 +1,75 @@
+const TABLE_COLUMNS = ['ACTION', 'KEY', 'REASON', 'SIZE', 'CONTENT TYPE']
+const TABLE_COLUMN_SEPARATOR = '  '
+
+/**
+ * The plan formats supported by `formatPlan`
+ * @typedef {'table'|'json'} PlanFormat
+ */
+
+/**
+ * @typedef {Object} PlanAction
+ * @property {string} action
+ * @property {string} key
+ * @property {string} reason
+ * @property {number} [size]
+ * @property {string} [contentType]
+ * @property {Object.<string,*>} [headers]
+ * @see index.js `S3SyncAction` type definition
+ */
+
+/**
+ * Renders the actions returned by `S3Sync#plan`
+ * @param {Array.<PlanAction>} actions
+ * @param {PlanFormat} [format]
+ * @returns {string}
+ */
+function formatPlan(actions, format = 'table') {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(actions, null, 2)}\n`
+    case 'table':
+      return formatPlanTable(actions)
+    default:
+      throw new Error(`Unknown plan format "${format}"`)
+  }
+}
+
+/**
+ * Renders the actions as aligned columns, followed by a count of each action
+ * @param {Array.<PlanAction>} actions
+ * @returns {string}
+ */
+function formatPlanTable(actions) {
+  const rows = [
+    TABLE_COLUMNS,
+    ...actions.map(action => [
+      action.action,
+      action.key,
+      action.reason,
+      action.size === undefined ? '' : String(action.size),
+      action.contentType || ''
+    ])
+  ]
+  const columnWidths = TABLE_COLUMNS.map((_, index) => {
+    return Math.max(...rows.map(row => row[index].length))
+  })
+  const lines = rows.map(row => {
+    return row
+    .map((cell, index) => cell.padEnd(columnWidths[index]))
+    .join(TABLE_COLUMN_SEPARATOR)
+    .trimRight()
+  })
+  /** @type {Object.<string,number>} */
+  const actionCounts = {}
+  actions.forEach(({ action }) => {
+    actionCounts[action] = (actionCounts[action] || 0) + 1
+  })
+  const summary = Object.entries(actionCounts)
+  .map(([action, count]) => `${count} ${action}`)
+  .join(', ')
+  return `${lines.join('\n')}\n\n${summary || 'nothing to do'}\n`
+}
+
+module.exports = {
+  formatPlan
+}
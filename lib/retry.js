@@ -0,0 +1,81 @@
+const RETRYABLE_ERROR_CODES = new Set([
+  'EAI_AGAIN',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT',
+  'InternalError',
+  'NetworkingError',
+  'RequestTimeout',
+  'RequestTimeTooSkewed',
+  'ServiceUnavailable',
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'TimeoutError',
+  'TooManyRequestsException'
+])
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} retries - the number of times to retry after the first attempt
+ * @property {number} baseDelay - the delay (in milliseconds) before the first retry
+ * @property {number} maxDelay - the maximum delay (in milliseconds) between retries
+ * @property {function(Error,number,number):void} [onRetry] - called with the error, the attempt number and the delay
+ */
+
+/**
+ * Whether the error is (probably) transient, so the request is worth retrying
+ * @param {*} err
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  if (!err) {
+    return false
+  }
+  if (err.retryable === true || RETRYABLE_ERROR_CODES.has(err.code)) {
+    return true
+  }
+  return err.statusCode === 429 || err.statusCode >= 500
+}
+
+/**
+ * The exponential backoff delay before a retry, with "full jitter"
+ * @param {number} attempt - the attempt which failed, starting at 1
+ * @param {RetryOptions} options
+ * @returns {number} milliseconds
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1))
+  return Math.round(Math.random() * delay)
+}
+
+/**
+ * Calls `fn` until it resolves, retrying retryable errors with exponential backoff
+ * @template T
+ * @param {function():Promise.<T>} fn
+ * @param {RetryOptions} options
+ * @returns {Promise.<T>}
+ */
+async function withRetries(fn, options) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn()
+    } catch (err) {
+      if (attempt > options.retries || !isRetryableError(err)) {
+        throw err
+      }
+      const delay = backoffDelay(attempt, options)
+      if (options.onRetry) {
+        options.onRetry(err, attempt, delay)
+      }
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
+
+module.exports = {
+  backoffDelay,
+  isRetryableError,
+  withRetries
+}
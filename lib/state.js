@@ -0,0 +1,97 @@
+// Node imports
+const fs = require('fs')
+const path = require('path')
+// NPM imports
+const Bluebird = require('bluebird')
+
+const STATE_FILE_VERSION = 2
+
+/** @typedef {import('aws-sdk').S3.ETag} S3ETag */
+/** @typedef {import('aws-sdk').S3.ObjectKey} S3ObjectKey */
+
+/**
+ * What is known about a local file from an earlier run
+ * @typedef {Object} FileState
+ * @property {number} mtimeMs
+ * @property {number} size
+ * @property {string} hash - the MD5 hash of the file
+ * @property {string} nameHash - the hash of the file used in its hashed key
+ */
+
+/**
+ * The upload state cached between runs
+ * @typedef {Object} UploadState
+ * @property {number} version
+ * @property {string} fingerprint - identifies the options which affect keys and headers
+ * @property {Object.<string,FileState>} files - keyed by relative file name
+ * @property {Object.<S3ObjectKey,S3ETag>} keys - the ETag (hash) last uploaded to each key
+ */
+
+/**
+ * @param {string} fingerprint
+ * @returns {UploadState}
+ */
+function createState(fingerprint) {
+  return { version: STATE_FILE_VERSION, fingerprint, files: {}, keys: {} }
+}
+
+/**
+ * Reads the state file, starting afresh if it is missing, unreadable
+ * or was written with different options
+ * @param {string} filePath
+ * @param {string} fingerprint
+ * @returns {Promise.<UploadState>}
+ */
+async function readStateFile(filePath, fingerprint) {
+  /** @type {UploadState} */
+  let state
+  try {
+    const data = await Bluebird.fromCallback(callback => {
+      fs.readFile(filePath, 'utf8', callback)
+    })
+    state = JSON.parse(data)
+  } catch (err) {
+    if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+      throw err
+    }
+    return createState(fingerprint)
+  }
+  if (!state || state.version !== STATE_FILE_VERSION || state.fingerprint !== fingerprint) {
+    return createState(fingerprint)
+  }
+  return { ...createState(fingerprint), files: state.files || {}, keys: state.keys || {} }
+}
+
+/**
+ * @param {string} filePath
+ * @param {UploadState} state
+ * @returns {Promise.<void>}
+ */
+async function writeStateFile(filePath, state) {
+  await Bluebird.fromCallback(callback => {
+    fs.mkdir(path.dirname(filePath), { recursive: true }, callback)
+  })
+  await Bluebird.fromCallback(callback => {
+    fs.writeFile(filePath, JSON.stringify(state, null, 2), callback)
+  })
+}
+
+/**
+ * Whether the file is unchanged since its state was recorded
+ * @param {FileState} [fileState]
+ * @param {fs.Stats} stats
+ * @returns {boolean}
+ */
+function isFileUnchanged(fileState, stats) {
+  if (!fileState) {
+    return false
+  }
+  return fileState.mtimeMs === stats.mtimeMs && fileState.size === stats.size
+}
+
+module.exports = {
+  createState,
+  isFileUnchanged,
+  readStateFile,
+  writeStateFile
+}
@@ -0,0 +1,533 @@
+// Node imports
+const fs = require('fs')
+const path = require('path')
+// NPM imports
+const AWS = require('aws-sdk')
+const Bluebird = require('bluebird')
+// Lib imports
+const directoryLib = require('./directory')
+const hashLib = require('./hash')
+
+const S3_DELETE_OBJECTS_LIMIT = 1000
+const DEFAULT_S3_PART_SIZE = 5 * 1024 * 1024 // bytes (the minimum S3 allows)
+const LOCAL_METADATA_DIR_NAME = '.s3-asset-uploader'
+const LOCAL_METADATA_FILE_EXTENSION = '.json'
+const ETAG_QUOTES_REGEXP = /"/g
+
+/**
+ * The interface implemented by every storage backend
+ * @typedef {Object} StorageAdapter
+ * @property {function(AWS.S3.PutObjectRequest,StoragePutOptions=):Promise.<StoragePutResult>} put
+ *   stores the object, with its headers
+ * @property {function(AWS.S3.ObjectKey):Promise.<(AWS.S3.HeadObjectOutput|void)>} head
+ *   resolves with the headers (including the `ETag`) of the object, unless it does not exist
+ * @property {function(AWS.S3.ObjectKey):Promise.<(Buffer|void)>} get
+ *   resolves with the body of the object, unless it does not exist
+ * @property {function(string):Promise.<Array.<AWS.S3.Object>>} list
+ *   resolves with every object with a key beginning with the prefix
+ * @property {function(Array.<AWS.S3.ObjectKey>):Promise.<void>} delete
+ *   deletes the objects
+ * @property {function(AWS.S3.ObjectKey,AWS.S3.ObjectKey,StorageCopyParams):Promise.<void>} copy
+ *   copies the object from the source key to the key, with the headers of the params (rather than those of the source)
+ * @property {number} [partSize]
+ *   objects larger than this are uploaded in parts, so their ETag is not the MD5 hash of the object
+ */
+
+/** @typedef {AWS.S3.CompleteMultipartUploadOutput|void} StoragePutResult */
+
+/**
+ * @typedef {Object} StoragePutProgress
+ * @property {number} loaded - the number of bytes stored so far
+ * @property {number} [total] - the number of bytes to store, if known
+ */
+
+/**
+ * @typedef {Object} StoragePutOptions
+ * @property {function(StoragePutProgress):void} [onProgress] - called as the body is stored
+ */
+
+/**
+ * The headers of a copy
+ * @typedef {Object} StorageCopyParams
+ * @property {AWS.S3.ObjectCannedACL} [ACL]
+ * @property {AWS.S3.BucketName} [Bucket] - ignored, the copy is within the bucket of the storage
+ * @property {AWS.S3.CacheControl} [CacheControl]
+ * @property {AWS.S3.ContentType} [ContentType]
+ * @property {AWS.S3.ContentEncoding} [ContentEncoding]
+ * @property {AWS.S3.ContentDisposition} [ContentDisposition]
+ * @property {AWS.S3.Metadata} [Metadata]
+ * @property {AWS.S3.StorageClass} [StorageClass]
+ * @property {AWS.S3.ServerSideEncryption} [ServerSideEncryption]
+ */
+
+/**
+ * The storage related properties of the `S3SyncConfig`
+ * @typedef {Object} StorageConfig
+ * @property {string} [key] - your AWS access key ID
+ * @property {string} [secret] - your AWS secret access key
+ * @property {AWS.S3.BucketName} [bucket] - the name of the destination AWS S3 bucket
+ * @property {AWS.S3} [client] - use this client rather than constructing one
+ * @property {string} [endpoint] - a custom endpoint, e.g. for an S3-compatible server
+ * @property {boolean} [forcePathStyle] - use path-style (rather than virtual-host) URLs
+ * @property {string} [region] - the AWS region of the bucket
+ * @property {number} [partSize] - upload objects larger than this many bytes in parts of this size
+ * @property {string} [localPath] - store objects in this local directory rather than S3
+ * @property {StorageAdapter} [storage] - a custom storage backend
+ */
+
+/**
+ * Stores objects in an Amazon S3 (or S3-compatible) bucket
+ * @implements {StorageAdapter}
+ */
+class S3Storage {
+  /**
+   * @param {StorageConfig} config
+   * @constructor
+   */
+  constructor(config) {
+    this.client = config.client || new AWS.S3(s3ClientConfiguration(config))
+    this.bucket = config.bucket
+    this.partSize = config.partSize || DEFAULT_S3_PART_SIZE
+  }
+
+  /**
+   * @param {AWS.S3.PutObjectRequest} params
+   * @param {StoragePutOptions} [options]
+   * @returns {Promise.<StoragePutResult>}
+   * @see https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/S3.html#upload-property
+   */
+  async put(params, { onProgress } = {}) {
+    return Bluebird.fromCallback(callback => {
+      // Headers default to `Bucket: config.bucket`, which is undefined for an injected storage
+      const managedUpload = this.client.upload({ ...params, 'Bucket': params['Bucket'] || this.bucket }, {
+        partSize: this.partSize
+      }, callback)
+      if (onProgress) {
+        managedUpload.on('httpUploadProgress', onProgress)
+      }
+    })
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} key
+   * @returns {Promise.<(AWS.S3.HeadObjectOutput|void)>}
+   */
+  async head(key) {
+    try {
+      return await Bluebird.fromCallback(callback => {
+        this.client.headObject({
+          'Bucket': this.bucket,
+          'Key': key
+        }, callback)
+      })
+    } catch (err) {
+      if (err.name === 'NotFound') {
+        return
+      }
+      throw err
+    }
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} key
+   * @returns {Promise.<(Buffer|void)>}
+   */
+  async get(key) {
+    try {
+      /** @type {AWS.S3.GetObjectOutput} */
+      const result = await Bluebird.fromCallback(callback => {
+        this.client.getObject({
+          'Bucket': this.bucket,
+          'Key': key
+        }, callback)
+      })
+      return Buffer.from(/** @type {Buffer} */ (result.Body))
+    } catch (err) {
+      if (err.name === 'NoSuchKey') {
+        return
+      }
+      throw err
+    }
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {Promise.<Array.<AWS.S3.Object>>}
+   */
+  async list(prefix) {
+    /** @type {Array.<AWS.S3.Object>} */
+    const objects = []
+    /** @type {AWS.S3.Token} */
+    let continuationToken
+    do {
+      /** @type {AWS.S3.ListObjectsV2Output} */
+      const result = await Bluebird.fromCallback(callback => {
+        this.client.listObjectsV2({
+          'Bucket': this.bucket,
+          'Prefix': prefix,
+          'ContinuationToken': continuationToken
+        }, callback)
+      })
+      objects.push(...result.Contents)
+      continuationToken = result.NextContinuationToken
+    } while (continuationToken)
+    return objects
+  }
+
+  /**
+   * @param {Array.<AWS.S3.ObjectKey>} keys
+   * @returns {Promise.<void>}
+   */
+  async delete(keys) {
+    for (let index = 0; index < keys.length; index += S3_DELETE_OBJECTS_LIMIT) {
+      const batchKeys = keys.slice(index, index + S3_DELETE_OBJECTS_LIMIT)
+      /** @type {AWS.S3.DeleteObjectsOutput} */
+      const result = await Bluebird.fromCallback(callback => {
+        this.client.deleteObjects({
+          'Bucket': this.bucket,
+          'Delete': {
+            'Objects': batchKeys.map(key => ({ 'Key': key })),
+            'Quiet': true
+          }
+        }, callback)
+      })
+      if (result.Errors && result.Errors.length) {
+        const { Key, Code, Message } = result.Errors[0]
+        throw new Error(`Failed to delete ${result.Errors.length} key(s), first key[${Key}] code[${Code}]: ${Message}`)
+      }
+    }
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} sourceKey
+   * @param {AWS.S3.ObjectKey} key
+   * @param {StorageCopyParams} [params]
+   * @returns {Promise.<void>}
+   */
+  async copy(sourceKey, key, params = {}) {
+    await Bluebird.fromCallback(callback => {
+      this.client.copyObject({
+        ...params,
+        'Bucket': this.bucket,
+        'CopySource': encodeURI(`${this.bucket}/${sourceKey}`),
+        'Key': key,
+        'MetadataDirective': 'REPLACE'
+      }, callback)
+    })
+  }
+}
+
+/**
+ * Stores objects as files in a local directory, e.g. for tests and CI.
+ * The headers of each object are kept in a JSON file in the
+ * `.s3-asset-uploader` directory.
+ * @implements {StorageAdapter}
+ */
+class LocalStorage {
+  /**
+   * @param {string} rootPath
+   * @constructor
+   */
+  constructor(rootPath) {
+    this.rootPath = path.resolve(rootPath)
+    this.metadataPath = path.join(this.rootPath, LOCAL_METADATA_DIR_NAME)
+  }
+
+  /**
+   * @param {AWS.S3.PutObjectRequest} params
+   * @param {StoragePutOptions} [options]
+   * @returns {Promise.<StoragePutResult>}
+   */
+  async put(params, { onProgress } = {}) {
+    const { Body: body, Bucket: bucket, Key: key, ...headers } = params
+    const filePath = this.filePath(key)
+    await makeDirectory(path.dirname(filePath))
+    if (isReadableStream(body)) {
+      let loaded = 0
+      await new Promise((resolve, reject) => {
+        body.on('error', reject)
+        if (onProgress) {
+          body.on('data', (/** @type {Uint8Array} */ chunk) => {
+            loaded += chunk.length
+            onProgress({ loaded })
+          })
+        }
+        body.pipe(fs.createWriteStream(filePath))
+        .on('error', reject)
+        .on('finish', resolve)
+      })
+    } else {
+      const data = /** @type {(string|Buffer)} */ (body)
+      await Bluebird.fromCallback(callback => {
+        fs.writeFile(filePath, data, callback)
+      })
+      if (onProgress) {
+        const total = Buffer.byteLength(data)
+        onProgress({ loaded: total, total })
+      }
+    }
+    await this.writeMetadata(key, headers)
+    return {
+      'Bucket': bucket,
+      'Key': key,
+      'Location': filePath
+    }
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} key
+   * @returns {Promise.<(AWS.S3.HeadObjectOutput|void)>}
+   */
+  async head(key) {
+    const filePath = this.filePath(key)
+    const stats = await fileStats(filePath)
+    if (!stats) {
+      return
+    }
+    const metadata = await this.readMetadata(key)
+    return {
+      'CacheControl': metadata.CacheControl,
+      'ContentDisposition': metadata.ContentDisposition,
+      'ContentEncoding': metadata.ContentEncoding,
+      'ContentType': metadata.ContentType,
+      'Metadata': metadata.Metadata,
+      'StorageClass': metadata.StorageClass,
+      'ContentLength': stats.size,
+      'ETag': `"${await hashLib.hashFromFile(filePath)}"`,
+      'LastModified': stats.mtime
+    }
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} key
+   * @returns {Promise.<(Buffer|void)>}
+   */
+  async get(key) {
+    try {
+      return await Bluebird.fromCallback(callback => {
+        fs.readFile(this.filePath(key), callback)
+      })
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return
+      }
+      throw err
+    }
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {Promise.<Array.<AWS.S3.Object>>}
+   */
+  async list(prefix) {
+    if (!await fileStats(this.rootPath)) {
+      return []
+    }
+    const filePaths = await directoryLib.getFileNames(this.rootPath, {
+      ignorePaths: [new RegExp(`^${LOCAL_METADATA_DIR_NAME}$`)]
+    })
+    const keys = filePaths
+    .map(filePath => path.relative(this.rootPath, filePath).split(path.sep).join('/'))
+    .filter(key => key.startsWith(prefix))
+    .sort()
+    return Bluebird.mapSeries(keys, async key => {
+      const filePath = this.filePath(key)
+      const stats = /** @type {fs.Stats} */ (await fileStats(filePath))
+      return {
+        'Key': key,
+        'LastModified': stats.mtime,
+        'ETag': `"${await hashLib.hashFromFile(filePath)}"`,
+        'Size': stats.size
+      }
+    })
+  }
+
+  /**
+   * @param {Array.<AWS.S3.ObjectKey>} keys
+   * @returns {Promise.<void>}
+   */
+  async delete(keys) {
+    for (let key of keys) {
+      await removeFile(this.filePath(key))
+      await removeFile(this.metadataFilePath(key))
+    }
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} sourceKey
+   * @param {AWS.S3.ObjectKey} key
+   * @param {StorageCopyParams} [params]
+   * @returns {Promise.<void>}
+   */
+  async copy(sourceKey, key, params = {}) {
+    const filePath = this.filePath(key)
+    await makeDirectory(path.dirname(filePath))
+    await Bluebird.fromCallback(callback => {
+      fs.copyFile(this.filePath(sourceKey), filePath, callback)
+    })
+    const headers = { ...params }
+    delete headers['Bucket']
+    await this.writeMetadata(key, headers)
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} key
+   * @returns {string}
+   * @throws {Error} if the key is outside of the root directory
+   * @private
+   */
+  filePath(key) {
+    const filePath = path.resolve(this.rootPath, key)
+    if (!filePath.startsWith(this.rootPath + path.sep)) {
+      throw new Error(`Invalid key[${key}] for local storage`)
+    }
+    return filePath
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} key
+   * @returns {string}
+   * @private
+   */
+  metadataFilePath(key) {
+    return path.join(this.metadataPath, `${key}${LOCAL_METADATA_FILE_EXTENSION}`)
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} key
+   * @returns {Promise.<Object.<string,*>>}
+   * @private
+   */
+  async readMetadata(key) {
+    try {
+      const data = await Bluebird.fromCallback(callback => {
+        fs.readFile(this.metadataFilePath(key), 'utf8', callback)
+      })
+      return JSON.parse(data)
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return {}
+      }
+      throw err
+    }
+  }
+
+  /**
+   * @param {AWS.S3.ObjectKey} key
+   * @param {Object.<string,*>} metadata
+   * @returns {Promise.<void>}
+   * @private
+   */
+  async writeMetadata(key, metadata) {
+    const metadataFilePath = this.metadataFilePath(key)
+    await makeDirectory(path.dirname(metadataFilePath))
+    await Bluebird.fromCallback(callback => {
+      fs.writeFile(metadataFilePath, JSON.stringify(metadata), callback)
+    })
+  }
+}
+
+/**
+ * Creates the storage backend described by the config
+ * @param {StorageConfig} config
+ * @returns {StorageAdapter}
+ */
+function createStorage(config) {
+  if (config.storage) {
+    return config.storage
+  }
+  if (config.localPath) {
+    return new LocalStorage(config.localPath)
+  }
+  return new S3Storage(config)
+}
+
+/**
+ * Strips the quotes S3 puts around ETag values
+ * @param {AWS.S3.ETag} [etag]
+ * @returns {string}
+ */
+function normalizeEtag(etag) {
+  return (etag || '').replace(ETAG_QUOTES_REGEXP, '')
+}
+
+/**
+ * @param {StorageConfig} config
+ * @returns {AWS.S3.ClientConfiguration}
+ */
+function s3ClientConfiguration(config) {
+  /** @type {AWS.S3.ClientConfiguration} */
+  const clientConfiguration = {}
+  if (config.key && config.secret) {
+    clientConfiguration.accessKeyId = config.key
+    clientConfiguration.secretAccessKey = config.secret
+  }
+  if (config.endpoint) {
+    clientConfiguration.endpoint = config.endpoint
+  }
+  if (config.forcePathStyle) {
+    clientConfiguration.s3ForcePathStyle = true
+  }
+  if (config.region) {
+    clientConfiguration.region = config.region
+  }
+  return clientConfiguration
+}
+
+/**
+ * @param {*} body
+ * @returns {body is NodeJS.ReadableStream}
+ */
+function isReadableStream(body) {
+  return Boolean(body) && typeof body.pipe === 'function'
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise.<(fs.Stats|void)>}
+ */
+async function fileStats(filePath) {
+  try {
+    return await Bluebird.fromCallback(callback => {
+      fs.stat(filePath, callback)
+    })
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return
+    }
+    throw err
+  }
+}
+
+/**
+ * @param {string} dirPath
+ * @returns {Promise.<void>}
+ */
+async function makeDirectory(dirPath) {
+  await Bluebird.fromCallback(callback => {
+    fs.mkdir(dirPath, { recursive: true }, callback)
+  })
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise.<void>}
+ */
+async function removeFile(filePath) {
+  try {
+    await Bluebird.fromCallback(callback => {
+      fs.unlink(filePath, callback)
+    })
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err
+    }
+  }
+}
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  createStorage,
+  normalizeEtag
+}
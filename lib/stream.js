@@ -5,7 +5,21 @@ const zlib = require('zlib')
 // Lib imports
 const fileLib = require('./file')
 
-const DEFAULT_GZIP_OPTIONS = { level: 9 }
+const DEFAULT_GZIP_OPTIONS = {
+  level: 9,
+  memLevel: 8,
+  strategy: zlib.constants.Z_DEFAULT_STRATEGY,
+  windowBits: 15
+}
+// The MTIME (bytes 4-7) and OS (byte 9) fields of the gzip header
+const GZIP_HEADER_MTIME_OFFSET = 4
+const GZIP_HEADER_OS_OFFSET = 9
+const GZIP_HEADER_OS_UNIX = 3
+const DEFAULT_BROTLI_OPTIONS = {
+  params: {
+    [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY
+  }
+}
 
 /**
  * @param {string} filePath
@@ -14,10 +28,7 @@ const DEFAULT_GZIP_OPTIONS = { level: 9 }
  */
 async function fileToString(filePath) {
   const fileStream = fs.createReadStream(filePath)
-  const readerStream = fileLib.isGzipped(filePath)
-  ? fileStream.pipe(zlib.createGunzip())
-  : fileStream
-  return streamToString(readerStream)
+  return streamToString(decompressStream(fileStream, fileLib.getContentEncoding(filePath)))
 }
 
 /**
@@ -26,6 +37,14 @@ async function fileToString(filePath) {
  * @returns {Promise.<string>}
  */
 async function streamToString(readerStream, encoding = 'utf8') {
+  return (await streamToBuffer(readerStream)).toString(encoding)
+}
+
+/**
+ * @param {NodeJS.ReadableStream} readerStream
+ * @returns {Promise.<Buffer>}
+ */
+async function streamToBuffer(readerStream) {
   return new Promise((resolve, reject) => {
     /** @type {Array.<Uint8Array>} */
     const chunks = []
@@ -34,20 +53,20 @@ async function streamToString(readerStream, encoding = 'utf8') {
     })
     readerStream.on('error', reject)
     readerStream.on('end', () => {
-      resolve(Buffer.concat(chunks).toString(encoding))
+      resolve(Buffer.concat(chunks))
     })
   })
 }
 
 /**
- * @param {string} data
+ * @param {(string|Buffer)} data
  * @param {BufferEncoding} [encoding]
  * @returns {NodeJS.ReadableStream}
  * @private
  */
 function stringToStream(data, encoding = 'utf8') {
   let cursor = 0
-  const buffer = Buffer.from(data, encoding)
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, encoding)
   return new stream.Readable({
     read(size) {
       if (cursor >= buffer.length) {
@@ -61,17 +80,112 @@ function stringToStream(data, encoding = 'utf8') {
 }
 
 /**
+ * Compresses the stream, always with the same output for the same content
+ * (so the ETag of the upload can be compared between runs and platforms)
  * @param {NodeJS.ReadableStream} stream
  * @returns {NodeJS.ReadableStream}
  */
 function gzipStream(stream) {
   const gzip = zlib.createGzip(DEFAULT_GZIP_OPTIONS)
-  return stream.pipe(gzip)
+  return stream.pipe(gzip).pipe(gzipHeaderStream())
+}
+
+/**
+ * Clears the modification time and sets a fixed OS in the gzip header
+ * @returns {stream.Transform}
+ * @private
+ */
+function gzipHeaderStream() {
+  let offset = 0
+  return new stream.Transform({
+    transform(/** @type {Buffer} */ chunk, _, callback) {
+      if (offset <= GZIP_HEADER_OS_OFFSET) {
+        chunk = Buffer.from(chunk)
+        for (let index = 0; index < chunk.length && offset + index <= GZIP_HEADER_OS_OFFSET; index++) {
+          const headerOffset = offset + index
+          if (headerOffset === GZIP_HEADER_OS_OFFSET) {
+            chunk[index] = GZIP_HEADER_OS_UNIX
+          } else if (headerOffset >= GZIP_HEADER_MTIME_OFFSET) {
+            chunk[index] = 0
+          }
+        }
+      }
+      offset += chunk.length
+      callback(null, chunk)
+    }
+  })
+}
+
+/**
+ * @param {NodeJS.ReadableStream} stream
+ * @returns {NodeJS.ReadableStream}
+ */
+function brotliStream(stream) {
+  const brotli = zlib.createBrotliCompress(DEFAULT_BROTLI_OPTIONS)
+  return stream.pipe(brotli)
+}
+
+/**
+ * @param {NodeJS.ReadableStream} stream
+ * @param {(fileLib.ContentEncoding|void)} contentEncoding
+ * @returns {NodeJS.ReadableStream}
+ */
+function compressStream(stream, contentEncoding) {
+  switch (contentEncoding) {
+    case fileLib.CONTENT_ENCODING_GZIP:
+      return gzipStream(stream)
+    case fileLib.CONTENT_ENCODING_BROTLI:
+      return brotliStream(stream)
+    default:
+      return stream
+  }
+}
+
+/**
+ * @param {NodeJS.ReadableStream} stream
+ * @param {(fileLib.ContentEncoding|void)} contentEncoding
+ * @returns {NodeJS.ReadableStream}
+ */
+function decompressStream(stream, contentEncoding) {
+  switch (contentEncoding) {
+    case fileLib.CONTENT_ENCODING_GZIP:
+      return stream.pipe(zlib.createGunzip())
+    case fileLib.CONTENT_ENCODING_BROTLI:
+      return stream.pipe(zlib.createBrotliDecompress())
+    default:
+      return stream
+  }
+}
+
+/**
+ * Counts the bytes of an upload body, consuming it if it is a stream
+ * @param {(NodeJS.ReadableStream|Uint8Array|string)} body
+ * @returns {Promise.<number>}
+ */
+async function byteLength(body) {
+  if (typeof body === 'string' || body instanceof Uint8Array) {
+    return Buffer.byteLength(body)
+  }
+  return new Promise((resolve, reject) => {
+    let length = 0
+    body.on('data', (/** @type {Uint8Array} */ chunk) => {
+      length += chunk.length
+    })
+    body.on('error', reject)
+    body.on('end', () => {
+      resolve(length)
+    })
+  })
 }
 
 module.exports = {
+  brotliStream,
+  byteLength,
+  compressStream,
+  decompressStream,
   fileToString,
   gzipStream,
+  streamToBuffer,
   streamToString,
   stringToStream
 }
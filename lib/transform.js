@@ -3,14 +3,34 @@ const fs = require('fs')
 const path = require('path')
 // Lib imports
 const fileLib = require('./file')
+const globLib = require('./glob')
 const hashLib = require('./hash')
 const streamLib = require('./stream')
 
-const { CONTENT_TYPE_CSS, CONTENT_TYPE_JS } = fileLib
+const { CONTENT_TYPE_CSS, CONTENT_TYPE_HTML, CONTENT_TYPE_JS } = fileLib
 
 const CSS_URL_REGEXP = /url\(\/([^)]+)\)/g
 const CSS_SOURCEMAP_REGEXP = /\/\*# sourceMappingURL=([^*]+)\*\/$/
 const JS_SOURCEMAP_REGEXP = /\/\/# sourceMappingURL=(.+)$/
+const JS_QUOTED_URL_REGEXP = /(["'`])([^"'`\s\\]+)\1/g
+const JS_IMPORT_META_URL_REGEXP = /(new\s+URL\(\s*)(["'`])([^"'`\s\\]+)\2(\s*,\s*import\.meta\.url\s*\))/g
+const SOURCEMAP_FILE_REGEXP = /\.(js|css)\.map$/
+const HTML_TAG_REGEXP = /<([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g
+const HTML_ATTRIBUTE_REGEXP = /(\s)([\w-]+)(\s*=\s*)("[^"]*"|'[^']*'|[^\s"'=<>`]+)/g
+// The tags whose `src` or `href` loads a file (rather than linking to a page)
+const HTML_URL_ATTRIBUTE_TAG_NAMES = new Map([
+  ['src', new Set(['audio', 'embed', 'img', 'input', 'script', 'source', 'track', 'video'])],
+  ['href', new Set(['link'])]
+])
+const HTML_SRCSET_ATTRIBUTE_NAMES = new Set(['srcset', 'imagesrcset'])
+const HTML_SRCSET_URL_REGEXP = /(^|,)(\s*)([^\s,]+)/g
+const HTML_STYLE_URL_REGEXP = /url\((\s*['"]?)([^'")\s]+)(['"]?\s*)\)/g
+const HTML_INTEGRITY_LINK_REL_REGEXP = /(^|\s)(stylesheet|modulepreload)(\s|$)/i
+const HTML_PRELOAD_LINK_REL_REGEXP = /(^|\s)preload(\s|$)/i
+const HTML_INTEGRITY_PRELOAD_AS_REGEXP = /^(script|style|fetch)$/i
+const HTML_SELF_CLOSING_REGEXP = /\s*\/?$/
+const EXTERNAL_URL_REGEXP = /^([a-z][a-z\d+.-]*:|\/\/|#)/i
+const URL_SUFFIX_REGEXP = /[?#].*$/
 
 /**
  * The mapping of original file paths to hashed file names
@@ -21,7 +41,13 @@ const JS_SOURCEMAP_REGEXP = /\/\/# sourceMappingURL=(.+)$/
 /**
  * @typedef {Object} TransformedFileResult
  * @property {NodeJS.ReadableStream} stream
- * @property {string} [hash]
+ * @property {boolean} transformed - the stream is not the content of the file as is
+ */
+
+/**
+ * @typedef {Object} TransformedFileDescription
+ * @property {number} size - the size in bytes of the decoded content
+ * @property {string} integrity - the Subresource Integrity of the decoded content
  */
 
 /**
@@ -31,155 +57,805 @@ const JS_SOURCEMAP_REGEXP = /\/\/# sourceMappingURL=(.+)$/
  */
 
 /**
+ * @typedef {Object} TransformOptions
+ * @property {string} filePath
+ * @property {string} relativeFileName
+ * @property {S3SyncDigest} digest
+ * @property {Array.<Transform>} [transforms] - applied in order to the matching files (default: the built-in transforms)
+ * @property {hashLib.HashOptions} [hashOptions] - how to hash the transformed file
+ * @property {Object.<string,string>} [integrity] - add the Subresource Integrity of these files to the HTML tags referencing them
+ * @property {string} [jsPublicPath] - rewrite the quoted URLs beginning with this path (e.g. `/`) in JS files,
+ *   and the URLs of `new URL(url, import.meta.url)` expressions
+ * @property {UrlRewriteCallback} [onUrlRewrite] - called for each URL rewritten in a JS file
+ * @property {SourceMapOptions} [sourceMap] - how to rewrite source maps
+ * @property {boolean} [absoluteSourceMapUrls] - the source maps are not uploaded next to the files they map,
+ *   so `sourceMappingURL` comments refer to the absolute path of their hashed key
+ */
+
+/**
+ * @typedef {Object} SourceMapSourceRewrite
+ * @property {RegExp} pattern
+ * @property {string} replacement - may refer to the groups of `pattern` (`$1`)
+ */
+
+/**
+ * @typedef {Object} SourceMapOptions
+ * @property {string} [sourceRoot] - replaces the `sourceRoot` (`''` removes it)
+ * @property {Array.<SourceMapSourceRewrite>} [rewriteSources] - applied in order to each of the `sources`
+ * @property {boolean} [stripSourcesContent] - removes the embedded sources (`sourcesContent`)
+ */
+
+/**
+ * @callback UrlRewriteCallback
+ * @param {string} url - as written in the file
+ * @param {string} replacement
+ * @returns {void}
+ */
+
+/** @typedef {(string|Buffer|NodeJS.ReadableStream)} TransformContent */
+
+/**
+ * The file a transform is applied to, with its (decoded) content as left by the previous transforms
+ * @typedef {Object} TransformFile
+ * @property {string} filePath
+ * @property {string} relativeFileName
+ * @property {string} contentType
+ * @property {function():Promise.<string>} text - reads the content as a string
+ * @property {function():NodeJS.ReadableStream} stream - reads the content as a stream;
+ *   a transform which reads the stream has to return the content
+ * @property {TransformOptions} options - how the built-in transforms rewrite the file
+ */
+
+/**
+ * Runs each time the file is hashed, described or uploaded, so it must be pure and
+ * deterministic: the same file and digest always give the same content
+ * @callback TransformFunction
+ * @param {S3SyncDigest} digest - includes the files the file references
+ * @param {TransformFile} file
+ * @returns {Promise.<(TransformContent|void)>} the transformed content, unless it is unchanged
+ */
+
+/**
+ * @callback TransformReferencesFunction
+ * @param {TransformFile} file
+ * @returns {Promise.<Array.<string>>} the relative file names the file references, whether or not they exist
+ */
+
+/**
+ * A transform of the content of the files it matches, before they are hashed and uploaded
+ * @typedef {Object} TransformDefinition
+ * @property {string} [name] - identifies the transform in errors
+ * @property {globLib.PathPattern} [match] - only the files with a relative file name matching this
+ * @property {(string|Array.<string>)} [contentType] - only the files with (one of) these content types
+ * @property {TransformFunction} transform
+ * @property {TransformReferencesFunction} [references] - the files are hashed after the files they reference
+ */
+
+/**
+ * @typedef {Object} Transform
+ * @property {string} name
+ * @property {(RegExp|void)} match
+ * @property {(Array.<string>|void)} contentTypes
+ * @property {TransformFunction} transform
+ * @property {(TransformReferencesFunction|void)} references
+ */
+
+/**
+ * @callback HtmlUrlReplacer
+ * @param {string} url - as written in the document
+ * @returns {string} the replacement URL
+ */
+
+/**
+ * @callback HtmlTagExtender
+ * @param {string} tagName - in lower case
+ * @param {Map.<string,string>} attributes - the original values, by attribute name in lower case
+ * @returns {string} the attributes to add to the tag, if any
+ */
+
+/**
+ * @param {TransformDefinition} definition
+ * @returns {Transform}
+ * @throws {TypeError} if the transform or its references are not functions
+ * @public
+ */
+function createTransform(definition) {
+  const name = definition.name || 'anonymous'
+  if (typeof definition.transform !== 'function') {
+    throw new TypeError(`Transform[${name}] needs a transform function`)
+  }
+  if (definition.references !== undefined && typeof definition.references !== 'function') {
+    throw new TypeError(`Transform[${name}] references is not a function`)
+  }
+  const contentTypes = definition.contentType
+  return {
+    name,
+    match: definition.match === undefined ? undefined : globLib.patternToRegExp(definition.match),
+    contentTypes: typeof contentTypes === 'string' ? [contentTypes] : contentTypes,
+    transform: definition.transform,
+    references: definition.references
+  }
+}
+
+/**
+ * @param {TransformOptions} options
+ * @returns {Promise.<TransformedFileResult>}
+ * @public
+ */
+async function replaceHashedFilenames(options) {
+  const { filePath } = options
+  const content = await transformContent(options)
+  if (content === undefined) {
+    return {
+      stream: fs.createReadStream(filePath),
+      transformed: false
+    }
+  }
+  return {
+    stream: transformedContentToStream(filePath, content),
+    transformed: true
+  }
+}
+
+/**
+ * Generates the hash the file will have once its references are replaced
+ * @param {TransformOptions} options
+ * @returns {Promise.<(string|void)>} the hash, if the file content changed
+ * @public
+ */
+async function hashTransformedFile(options) {
+  const content = await transformContent(options)
+  if (content !== undefined) {
+    return recalculateHash(options.filePath, content, options.hashOptions)
+  }
+}
+
+/**
+ * Describes the decoded content of the file once its references are replaced
+ * (browsers check the Subresource Integrity against the decoded content)
+ * @param {TransformOptions} options
+ * @returns {Promise.<TransformedFileDescription>}
+ * @public
+ */
+async function describeTransformedFile(options) {
+  const { filePath } = options
+  const content = await transformContent(options)
+  if (typeof content === 'string' || Buffer.isBuffer(content)) {
+    return {
+      size: Buffer.byteLength(content),
+      integrity: hashLib.integrityFromString(content)
+    }
+  }
+  // Both consume the same stream
+  const contentStream = content || originalContentStream(filePath)
+  const [size, integrity] = await Promise.all([
+    streamLib.byteLength(contentStream),
+    hashLib.integrityFromStream(contentStream)
+  ])
+  return { size, integrity }
+}
+
+/**
+ * Collects the relative file names referenced by the file, whether or not they exist
  * @param {Object} options
  * @param {string} options.filePath
  * @param {string} options.relativeFileName
- * @param {S3SyncDigest} options.digest
- * @returns {Promise.<TransformedFileResult>}
+ * @param {string} [options.jsPublicPath] - see `TransformOptions`
+ * @param {Array.<Transform>} [options.transforms] - see `TransformOptions`
+ * @returns {Promise.<Array.<string>>}
  * @public
  */
-async function replaceHashedFilenames({ filePath, relativeFileName, digest }) {
-  const relativeDirPath = path.dirname(relativeFileName)
+async function getReferencedFileNames({ filePath, relativeFileName, jsPublicPath, transforms }) {
+  /** @type {TransformOptions} */
+  const options = { filePath, relativeFileName, jsPublicPath, transforms, digest: {} }
+  /** @type {Array.<string>} */
+  const referencedFileNames = []
+  for (let transform of matchingTransforms(options)) {
+    if (transform.references) {
+      referencedFileNames.push(...await transform.references(transformFile(options)))
+    }
+  }
+  return referencedFileNames
+}
+
+/**
+ * @param {TransformOptions} options
+ * @returns {Array.<Transform>}
+ */
+function matchingTransforms({ filePath, relativeFileName, transforms = BUILTIN_TRANSFORMS }) {
   const contentType = fileLib.getContentType(filePath)
-  if (contentType === CONTENT_TYPE_JS) {
-    return transformFile(replaceHashedFilenamesInJs)
+  return transforms.filter(transform => {
+    return (!transform.match || transform.match.test(relativeFileName)) &&
+      (!transform.contentTypes || transform.contentTypes.includes(contentType))
+  })
+}
+
+/**
+ * Applies the matching transforms in order, each one to the content left by the previous ones
+ * @param {TransformOptions} options
+ * @returns {Promise.<(TransformContent|undefined)>} the transformed (decoded) content, unless no transform changed it
+ */
+async function transformContent(options) {
+  /** @type {(TransformContent|undefined)} */
+  let content
+  for (let transform of matchingTransforms(options)) {
+    let isStreamRead = false
+    const file = transformFile(options, content, () => {
+      isStreamRead = true
+    })
+    const transformedContent = await transform.transform(options.digest, file)
+    if (transformedContent !== undefined) {
+      content = /** @type {TransformContent} */ (transformedContent)
+    } else if (isStreamRead) {
+      throw new Error(`Transform[${transform.name}] read the stream of fileName[${options.relativeFileName}] but returned nothing`)
+    } else {
+      content = file.content
+    }
   }
-  if (contentType === CONTENT_TYPE_CSS) {
-    return transformFile(replaceHashedFilenamesInCss)
+  return content
+}
+
+/**
+ * @param {TransformOptions} options
+ * @param {(TransformContent|undefined)} [content] - left by the previous transforms, if any
+ * @param {function():void} [onStreamRead]
+ * @returns {TransformFile & {content: (TransformContent|undefined)}} `content` is the text, once read
+ */
+function transformFile(options, content, onStreamRead) {
+  const { filePath, relativeFileName } = options
+  /** @type {(Promise.<string>|void)} */
+  let textPromise
+  const file = {
+    filePath,
+    relativeFileName,
+    contentType: fileLib.getContentType(filePath),
+    options,
+    content,
+    text,
+    stream
   }
-  return originalFileResult()
+  return file
 
   /**
-   * @returns {TransformedFileResult}
+   * @returns {Promise.<string>}
    */
-  function originalFileResult() {
-    return {
-      stream: fs.createReadStream(filePath)
+  async function text() {
+    if (!textPromise) {
+      textPromise = contentToString()
     }
+    return textPromise
   }
 
   /**
-   * @param {string} transformedData
-   * @param {string} recalculatedHash
-   * @returns {TransformedFileResult}
+   * @returns {Promise.<string>}
    */
-  function transformedFileResult(transformedData, recalculatedHash) {
-    return {
-      stream: transformedDataToStream(transformedData),
-      hash: recalculatedHash
+  async function contentToString() {
+    const contentString = typeof content === 'string' || Buffer.isBuffer(content)
+    ? content.toString()
+    : await streamLib.streamToString(content || originalContentStream(filePath))
+    if (content !== undefined) {
+      // The previous stream is consumed
+      file.content = contentString
     }
+    return contentString
   }
 
   /**
-   * @param {TransformFileCallback} transformCallback
-   * @returns {Promise.<TransformedFileResult>}
+   * @returns {NodeJS.ReadableStream}
    */
-  async function transformFile(transformCallback) {
-    const originalData = await streamLib.fileToString(filePath)
-    const transformedData = transformCallback(originalData)
-    if (originalData === transformedData) {
-      return originalFileResult()
+  function stream() {
+    if (content === undefined) {
+      return originalContentStream(filePath)
     }
-    const recalculatedHash = await recalculateHash(transformedData)
-    return transformedFileResult(transformedData, recalculatedHash)
+    if (typeof content === 'string' || Buffer.isBuffer(content)) {
+      return streamLib.stringToStream(content)
+    }
+    if (onStreamRead) {
+      onStreamRead()
+    }
+    return content
   }
+}
 
-  /**
-   * @param {string} transformedData
-   * @returns {NodeJS.ReadableStream}
-   */
-  function transformedDataToStream(transformedData) {
-    const transformedStream = streamLib.stringToStream(transformedData)
-    // Re-compress the stream if the original file was gzipped
-    return fileLib.isGzipped(filePath)
-    ? streamLib.gzipStream(transformedStream)
-    : transformedStream
+/**
+ * @param {string} filePath
+ * @returns {NodeJS.ReadableStream} the decoded content of the file
+ */
+function originalContentStream(filePath) {
+  return streamLib.decompressStream(fs.createReadStream(filePath), fileLib.getContentEncoding(filePath))
+}
+
+/**
+ * Applies the callback to the text of the file
+ * @param {TransformFile} file
+ * @param {TransformFileCallback} transformCallback
+ * @returns {Promise.<(string|void)>} the transformed text, unless it is unchanged
+ */
+async function transformText(file, transformCallback) {
+  const fileData = await file.text()
+  const transformedData = transformCallback(fileData)
+  if (transformedData !== fileData) {
+    return transformedData
   }
+}
+
+/**
+ * Replaces file names with their hashed versions in a CSS file
+ * @type {TransformFunction}
+ */
+async function transformCss(digest, file) {
+  return transformText(file, fileData => {
+    return fileData
+    .replace(CSS_URL_REGEXP, (match, absoluteUrl) => {
+      return digest[absoluteUrl]
+      ? `url(/${digest[absoluteUrl]})`
+      : match
+    })
+    .replace(CSS_SOURCEMAP_REGEXP, (match, fileBaseName) => {
+      const sourceMappingUrl = hashedSourceMapUrl(digest, file, fileBaseName)
+      return sourceMappingUrl
+      ? `/*# sourceMappingURL=${sourceMappingUrl}*/`
+      : match
+    })
+  })
+}
+
+/**
+ * @type {TransformReferencesFunction}
+ */
+async function cssReferences(file) {
+  const relativeDirPath = path.dirname(file.relativeFileName)
+  /** @type {Array.<string>} */
+  const referencedFileNames = []
+  const fileData = await file.text()
+  fileData
+  .replace(CSS_URL_REGEXP, (match, absoluteUrl) => {
+    referencedFileNames.push(absoluteUrl)
+    return match
+  })
+  .replace(CSS_SOURCEMAP_REGEXP, (match, fileBaseName) => {
+    referencedFileNames.push(path.join(relativeDirPath, fileBaseName))
+    return match
+  })
+  return referencedFileNames
+}
+
+/**
+ * Replaces file names with their hashed versions in a Javascript file
+ * (and asset URLs, with `jsPublicPath`)
+ * @type {TransformFunction}
+ */
+async function transformJs(digest, file) {
+  const { relativeFileName, options: { jsPublicPath, onUrlRewrite } } = file
+  const relativeDirPath = path.dirname(relativeFileName)
+  return transformText(file, fileData => {
+    const replacedData = fileData.replace(JS_SOURCEMAP_REGEXP, (match, fileBaseName) => {
+      const sourceMappingUrl = hashedSourceMapUrl(digest, file, fileBaseName)
+      return sourceMappingUrl
+      ? `//# sourceMappingURL=${sourceMappingUrl}`
+      : match
+    })
+    if (!jsPublicPath) {
+      return replacedData
+    }
+    return replacedData
+    .replace(JS_IMPORT_META_URL_REGEXP, jsImportMetaUrlReplacer)
+    .replace(JS_QUOTED_URL_REGEXP, (match, quote, url) => {
+      return jsQuotedUrlReplacer(match, quote, url, jsPublicPath)
+    })
+  })
 
   /**
-   * @param {string} transformedData
-   * @returns {Promise.<string>} recalculated hash of transformed file
+   * Replaces the module-relative URL of a `new URL(url, import.meta.url)` expression
+   * @param {string} match
+   * @param {string} before
+   * @param {string} quote
+   * @param {string} url
+   * @param {string} after
+   * @returns {string}
    */
-  async function recalculateHash(transformedData) {
-    if (!fileLib.isGzipped(filePath)) {
-      // Fast-path to avoid unnecessary conversion to stream
-      return hashLib.hashFromString(transformedData)
+  function jsImportMetaUrlReplacer(match, before, quote, url, after) {
+    const fileName = documentUrlFileName(url, relativeDirPath)
+    if (fileName === relativeFileName) {
+      return match
     }
-    const transformedStream = transformedDataToStream(transformedData)
-    return hashLib.hashFromStream(transformedStream)
+    const replacement = documentUrlReplacer(digest, relativeDirPath)(url)
+    if (replacement === url) {
+      return match
+    }
+    reportUrlRewrite(url, replacement)
+    return `${before}${quote}${replacement}${quote}${after}`
   }
 
   /**
-   * Replaces file names with their hashed versions in a CSS file
-   * @param {string} fileData
+   * Replaces a quoted URL beginning with the public path, when the whole string is a file in the digest
+   * @param {string} match
+   * @param {string} quote
+   * @param {string} url
+   * @param {string} publicPath
    * @returns {string}
    */
-  function replaceHashedFilenamesInCss(fileData) {
-    return fileData
-    .replace(CSS_URL_REGEXP, cssUrlReplacer)
-    .replace(CSS_SOURCEMAP_REGEXP, cssSourceMapReplacer)
+  function jsQuotedUrlReplacer(match, quote, url, publicPath) {
+    const fileName = publicPathFileName(url, publicPath)
+    if (!fileName || fileName === relativeFileName || !digest[fileName]) {
+      return match
+    }
+    const urlSuffix = url.substring(publicPath.length + fileName.length)
+    // Hashed keys are in the same directory as their original key
+    const hashedFileName = path.posix.join(path.posix.dirname(fileName), path.posix.basename(digest[fileName]))
+    const replacement = `${publicPath}${hashedFileName}${urlSuffix}`
+    reportUrlRewrite(url, replacement)
+    return `${quote}${replacement}${quote}`
   }
 
   /**
-   * Replaces file names with their hashed versions in a Javascript file
-   * @param {string} fileData
-   * @returns {string}
+   * @param {string} url
+   * @param {string} replacement
+   * @returns {void}
    */
-  function replaceHashedFilenamesInJs(fileData) {
-    return fileData.replace(JS_SOURCEMAP_REGEXP, jsSourceMapReplacer)
+  function reportUrlRewrite(url, replacement) {
+    if (onUrlRewrite) {
+      onUrlRewrite(url, replacement)
+    }
+  }
+}
+
+/**
+ * @type {TransformReferencesFunction}
+ */
+async function jsReferences(file) {
+  const { relativeFileName, options: { jsPublicPath } } = file
+  const relativeDirPath = path.dirname(relativeFileName)
+  /** @type {Array.<string>} */
+  const referencedFileNames = []
+  const fileData = await file.text()
+  fileData.replace(JS_SOURCEMAP_REGEXP, (match, fileBaseName) => {
+    referencedFileNames.push(path.join(relativeDirPath, fileBaseName))
+    return match
+  })
+  if (jsPublicPath) {
+    fileData
+    .replace(JS_IMPORT_META_URL_REGEXP, (match, _before, _quote, url) => {
+      addFileName(documentUrlFileName(url, relativeDirPath))
+      return match
+    })
+    .replace(JS_QUOTED_URL_REGEXP, (match, _quote, url) => {
+      addFileName(publicPathFileName(url, jsPublicPath))
+      return match
+    })
   }
+  return referencedFileNames
 
   /**
-   * Replaces relative URLs with the hashed version from the digest
-   * @param {string} match
-   * @param {string} absoluteUrl
-   * @returns {string}
+   * @param {(string|void)} fileName
+   * @returns {void}
    */
-  function cssUrlReplacer(match, absoluteUrl) {
-    return digest[absoluteUrl]
-    ? `url(/${digest[absoluteUrl]})`
-    : match
+  function addFileName(fileName) {
+    if (fileName && fileName !== relativeFileName) {
+      referencedFileNames.push(fileName)
+    }
   }
+}
+
+/**
+ * Replaces file names with their hashed versions in an HTML file,
+ * and adds the Subresource Integrity of scripts and stylesheets (with `integrity`)
+ * @type {TransformFunction}
+ */
+async function transformHtml(digest, file) {
+  const relativeDirPath = path.dirname(file.relativeFileName)
+  const { integrity } = file.options
+  const urlReplacer = documentUrlReplacer(digest, relativeDirPath)
+  return transformText(file, fileData => {
+    return replaceHtmlUrls(
+      fileData,
+      url => htmlAssetFileName(url, relativeDirPath) ? urlReplacer(url) : url,
+      integrity ? htmlIntegrityExtender(integrity, relativeDirPath) : undefined
+    )
+  })
+}
+
+/**
+ * @type {TransformReferencesFunction}
+ */
+async function htmlReferences(file) {
+  const relativeDirPath = path.dirname(file.relativeFileName)
+  /** @type {Array.<string>} */
+  const referencedFileNames = []
+  replaceHtmlUrls(await file.text(), url => {
+    const fileName = htmlAssetFileName(url, relativeDirPath)
+    if (fileName && fileName !== file.relativeFileName) {
+      referencedFileNames.push(fileName)
+    }
+    return url
+  })
+  return referencedFileNames
+}
+
+/**
+ * Points the `file` of a source map at the hashed key of the file it is named after,
+ * once that file is in the digest, and rewrites its sources with `sourceMap`
+ * @type {TransformFunction}
+ */
+async function transformSourceMap(digest, file) {
+  const { sourceRoot, rewriteSources = [], stripSourcesContent = false } = file.options.sourceMap || /** @type {SourceMapOptions} */ ({})
+  return transformText(file, fileData => {
+    /** @type {Object.<string,*>} */
+    let sourceMap
+    try {
+      sourceMap = JSON.parse(fileData)
+    } catch (err) {
+      // Not a JSON source map, so it is uploaded as is
+      return fileData
+    }
+    if (!sourceMap || typeof sourceMap !== 'object') {
+      return fileData
+    }
+    const transformedSourceMap = { ...sourceMap }
+    const generatedFileName = fileLib.generatedFilePath(file.relativeFileName)
+    if (digest[generatedFileName]) {
+      transformedSourceMap.file = path.posix.basename(digest[generatedFileName])
+    }
+    if (sourceRoot) {
+      transformedSourceMap.sourceRoot = sourceRoot
+    } else if (sourceRoot === '') {
+      delete transformedSourceMap.sourceRoot
+    }
+    if (rewriteSources.length && Array.isArray(sourceMap.sources)) {
+      transformedSourceMap.sources = sourceMap.sources.map(sourceRewriter)
+    }
+    if (stripSourcesContent) {
+      delete transformedSourceMap.sourcesContent
+    }
+    const transformedData = JSON.stringify(transformedSourceMap)
+    return transformedData === JSON.stringify(sourceMap) ? fileData : transformedData
+  })
 
   /**
-   * Replaces the sourceMappingURL with the hashed version from the digest
-   * @param {string} match
-   * @param {string} fileBaseName
-   * @returns {string}
+   * @param {*} source - `null` for unknown sources
+   * @returns {*}
    */
-  function cssSourceMapReplacer(match, fileBaseName) {
-    const sourceMappingUrl = hashedSourceMapFileBaseName(fileBaseName)
-    return sourceMappingUrl
-    ? `/*# sourceMappingURL=${sourceMappingUrl}*/`
-    : match
+  function sourceRewriter(source) {
+    if (typeof source !== 'string') {
+      return source
+    }
+    return rewriteSources.reduce((rewrittenSource, { pattern, replacement }) => {
+      return rewrittenSource.replace(pattern, replacement)
+    }, source)
   }
+}
+
+/**
+ * Looks up the hashed sourceMap file relative to the transformed file
+ * @param {S3SyncDigest} digest
+ * @param {TransformFile} file
+ * @param {string} fileBaseName
+ * @returns {(string|void)}
+ */
+function hashedSourceMapUrl(digest, file, fileBaseName) {
+  const matchedFileName = path.join(path.dirname(file.relativeFileName), fileBaseName)
+  if (!digest[matchedFileName]) {
+    return
+  }
+  return file.options.absoluteSourceMapUrls
+  ? `/${digest[matchedFileName]}`
+  : path.basename(digest[matchedFileName])
+}
+
+/**
+ * Replaces the URLs of the `src` and `href` attributes of the tags which load a file,
+ * and of the `srcset`, `imagesrcset` and `style` attributes, in an HTML document
+ * @param {string} fileData
+ * @param {HtmlUrlReplacer} urlReplacer
+ * @param {HtmlTagExtender} [tagExtender]
+ * @returns {string}
+ */
+function replaceHtmlUrls(fileData, urlReplacer, tagExtender) {
+  return fileData.replace(HTML_TAG_REGEXP, tagReplacer)
 
   /**
-   * Replaces the sourceMappingURL with the hashed version from the digest
-   * @param {string} match
-   * @param {string} fileBaseName
+   * @param {string} tag
+   * @param {string} tagName
+   * @param {string} tagAttributes
    * @returns {string}
    */
-  function jsSourceMapReplacer(match, fileBaseName) {
-    const sourceMappingUrl = hashedSourceMapFileBaseName(fileBaseName)
-    return sourceMappingUrl
-    ? `//# sourceMappingURL=${sourceMappingUrl}`
-    : match
+  function tagReplacer(tag, tagName, tagAttributes) {
+    /** @type {Map.<string,string>} */
+    const attributes = new Map()
+    const replacedAttributes = tagAttributes.replace(HTML_ATTRIBUTE_REGEXP, (match, space, name, equals, rawValue) => {
+      const quote = rawValue[0] === '"' || rawValue[0] === '\'' ? rawValue[0] : ''
+      const value = quote ? rawValue.substring(1, rawValue.length - 1) : rawValue
+      const attributeName = name.toLowerCase()
+      attributes.set(attributeName, value)
+      const replacedValue = replaceAttributeUrls(tagName.toLowerCase(), attributeName, value)
+      return replacedValue === value ? match : `${space}${name}${equals}${quote}${replacedValue}${quote}`
+    })
+    const addedAttributes = tagExtender ? tagExtender(tagName.toLowerCase(), attributes) : ''
+    if (replacedAttributes === tagAttributes && !addedAttributes) {
+      return tag
+    }
+    const selfClosing = replacedAttributes.match(HTML_SELF_CLOSING_REGEXP)[0]
+    const attributesBody = replacedAttributes.substring(0, replacedAttributes.length - selfClosing.length)
+    return `<${tagName}${attributesBody}${addedAttributes}${selfClosing}>`
   }
 
   /**
-   * Looks up the hashed sourceMap file relative to the transformed file
-   * @param {string} fileBaseName
-   * @returns {(string|void)}
+   * @param {string} tagName - in lower case
+   * @param {string} name
+   * @param {string} value
+   * @returns {string}
    */
-  function hashedSourceMapFileBaseName(fileBaseName) {
-    const matchedFileName = path.join(relativeDirPath, fileBaseName)
-    if (digest[matchedFileName]) {
-      return path.basename(digest[matchedFileName])
+  function replaceAttributeUrls(tagName, name, value) {
+    if (HTML_URL_ATTRIBUTE_TAG_NAMES.has(name)) {
+      const tagNames = /** @type {Set.<string>} */ (HTML_URL_ATTRIBUTE_TAG_NAMES.get(name))
+      return tagNames.has(tagName) ? urlReplacer(value) : value
+    }
+    if (HTML_SRCSET_ATTRIBUTE_NAMES.has(name)) {
+      return value.replace(HTML_SRCSET_URL_REGEXP, (_, separator, space, url) => {
+        return `${separator}${space}${urlReplacer(url)}`
+      })
+    }
+    if (name === 'style') {
+      return value.replace(HTML_STYLE_URL_REGEXP, (_, before, url, after) => {
+        return `url(${before}${urlReplacer(url)}${after})`
+      })
+    }
+    return value
+  }
+}
+
+/**
+ * Replaces absolute and document-relative URLs with the hashed version from the digest,
+ * keeping any query string and fragment
+ * @param {S3SyncDigest} digest
+ * @param {string} relativeDirPath - the directory of the document
+ * @returns {HtmlUrlReplacer}
+ */
+function documentUrlReplacer(digest, relativeDirPath) {
+  return url => {
+    const fileName = documentUrlFileName(url, relativeDirPath)
+    if (!fileName || !digest[fileName]) {
+      return url
+    }
+    const urlPath = url.replace(URL_SUFFIX_REGEXP, '')
+    const urlSuffix = url.substring(urlPath.length)
+    if (urlPath.startsWith('/')) {
+      return `/${digest[fileName]}${urlSuffix}`
     }
+    // Hashed keys are in the same directory as their original key
+    const urlDirPath = urlPath.substring(0, urlPath.lastIndexOf('/') + 1)
+    return `${urlDirPath}${path.posix.basename(digest[fileName])}${urlSuffix}`
+  }
+}
+
+/**
+ * Adds the Subresource Integrity to scripts, stylesheets, and the preloads which browsers check it for
+ * @param {Object.<string,string>} integrity
+ * @param {string} relativeDirPath - the directory of the document
+ * @returns {HtmlTagExtender}
+ */
+function htmlIntegrityExtender(integrity, relativeDirPath) {
+  return (tagName, attributes) => {
+    const url = tagName === 'script'
+    ? attributes.get('src')
+    : tagName === 'link' ? integrityLinkUrl(attributes) : undefined
+    if (!url || attributes.has('integrity')) {
+      return ''
+    }
+    const fileName = documentUrlFileName(url, relativeDirPath)
+    const fileIntegrity = fileName && integrity[fileName]
+    if (!fileIntegrity) {
+      return ''
+    }
+    return attributes.has('crossorigin')
+    ? ` integrity="${fileIntegrity}"`
+    : ` integrity="${fileIntegrity}" crossorigin="anonymous"`
+  }
+}
+
+/**
+ * @param {Map.<string,string>} attributes - of a `link` tag
+ * @returns {(string|void)}
+ */
+function integrityLinkUrl(attributes) {
+  const rel = attributes.get('rel') || ''
+  if (
+    HTML_INTEGRITY_LINK_REL_REGEXP.test(rel) ||
+    (HTML_PRELOAD_LINK_REL_REGEXP.test(rel) && HTML_INTEGRITY_PRELOAD_AS_REGEXP.test(attributes.get('as') || ''))
+  ) {
+    return attributes.get('href')
+  }
+}
+
+/**
+ * Resolves a URL in a document to the relative file name it refers to
+ * @param {string} url - absolute (`/img/a.png`) or relative to the document (`../img/a.png`)
+ * @param {string} relativeDirPath - the directory of the document
+ * @returns {(string|void)} unless the URL is external, or outside of the base path
+ */
+function documentUrlFileName(url, relativeDirPath) {
+  const urlPath = url.replace(URL_SUFFIX_REGEXP, '')
+  if (!urlPath || EXTERNAL_URL_REGEXP.test(url)) {
+    return
+  }
+  const fileName = urlPath.startsWith('/')
+  ? path.posix.normalize(urlPath.substring(1))
+  : path.posix.join(relativeDirPath, urlPath)
+  if (!fileName.startsWith('../')) {
+    return fileName
+  }
+}
+
+/**
+ * Resolves a URL in an HTML document to the file it loads, unless that file is a page:
+ * links between pages (e.g. `<link rel="next">`) are not dependencies, and are not hashed
+ * @param {string} url
+ * @param {string} relativeDirPath - the directory of the document
+ * @returns {(string|void)}
+ */
+function htmlAssetFileName(url, relativeDirPath) {
+  const fileName = documentUrlFileName(url, relativeDirPath)
+  if (fileName && fileLib.getContentType(fileName) !== CONTENT_TYPE_HTML) {
+    return fileName
   }
 }
 
+/**
+ * Resolves a URL beginning with the public path to the relative file name it refers to
+ * @param {string} url - e.g. `/img/a.png?v=1`
+ * @param {string} publicPath - e.g. `/`
+ * @returns {(string|void)} unless the URL does not begin with the public path
+ */
+function publicPathFileName(url, publicPath) {
+  if (url.startsWith(publicPath)) {
+    return url.substring(publicPath.length).replace(URL_SUFFIX_REGEXP, '') || undefined
+  }
+}
+
+/**
+ * @param {string} filePath
+ * @param {TransformContent} content - decoded
+ * @returns {NodeJS.ReadableStream}
+ */
+function transformedContentToStream(filePath, content) {
+  const transformedStream = typeof content === 'string' || Buffer.isBuffer(content)
+  ? streamLib.stringToStream(content)
+  : content
+  // Re-compress the stream if the original file was compressed
+  return streamLib.compressStream(transformedStream, fileLib.getContentEncoding(filePath))
+}
+
+/**
+ * @param {string} filePath
+ * @param {TransformContent} content - decoded
+ * @param {hashLib.HashOptions} [hashOptions]
+ * @returns {Promise.<string>} recalculated hash of transformed file
+ */
+async function recalculateHash(filePath, content, hashOptions) {
+  if (!fileLib.getContentEncoding(filePath) && (typeof content === 'string' || Buffer.isBuffer(content))) {
+    // Fast-path to avoid unnecessary conversion to stream
+    return hashLib.hashFromString(content, hashOptions)
+  }
+  return hashLib.hashFromStream(transformedContentToStream(filePath, content), hashOptions)
+}
+
+/**
+ * The built-in transforms, which replace the references of CSS, JS and HTML files
+ * and rewrite source maps
+ * @type {Array.<Transform>}
+ */
+const BUILTIN_TRANSFORMS = [
+  createTransform({ name: 'css', contentType: CONTENT_TYPE_CSS, transform: transformCss, references: cssReferences }),
+  createTransform({ name: 'js', contentType: CONTENT_TYPE_JS, transform: transformJs, references: jsReferences }),
+  createTransform({ name: 'html', contentType: CONTENT_TYPE_HTML, transform: transformHtml, references: htmlReferences }),
+  createTransform({ name: 'sourceMap', match: SOURCEMAP_FILE_REGEXP, transform: transformSourceMap })
+]
+
 module.exports = {
+  BUILTIN_TRANSFORMS,
+  createTransform,
+  describeTransformedFile,
+  getReferencedFileNames,
+  hashTransformedFile,
   replaceHashedFilenames
 }
@@ -0,0 +1,156 @@
+// Node imports
+const fs = require('fs')
+const path = require('path')
+// Lib imports
+const directoryLib = require('./directory')
+
+/**
+ * @typedef {Object} WatchOptions
+ * @property {directoryLib.PathFilters} [filters] - ignore these paths
+ * @property {number} debounce - wait until nothing has changed for this many milliseconds
+ */
+
+/**
+ * @typedef {Object} DirectoryWatcher
+ * @property {function():void} close - stops watching, dropping the unreported changes
+ */
+
+/**
+ * Watches the directory, and the directories in it as they come and go, and reports
+ * the full paths which changed in batches, once nothing has changed for `debounce` ms.
+ * Each directory has a watcher of its own, as recursive watchers are not supported everywhere.
+ * @param {string} basePath
+ * @param {WatchOptions} options
+ * @param {function(Array.<string>):void} onChange
+ * @returns {DirectoryWatcher}
+ */
+function watchDirectory(basePath, { filters = {}, debounce }, onChange) {
+  /** @type {Map.<string,fs.FSWatcher>} */
+  const watchers = new Map()
+  /** @type {Set.<string>} */
+  let changedPaths = new Set()
+  /** @type {(NodeJS.Timeout|void)} */
+  let timer
+  let closed = false
+  watchTree(basePath, false)
+  return { close }
+
+  /**
+   * @param {string} dirPath
+   * @param {boolean} isNew - the files in the directory are reported as changed
+   * @returns {void}
+   */
+  function watchTree(dirPath, isNew) {
+    if (closed || watchers.has(dirPath)) {
+      return
+    }
+    /** @type {Array.<fs.Dirent>} */
+    let dirents
+    try {
+      const watcher = fs.watch(dirPath, (_, fileName) => {
+        handleChange(fileName ? path.join(dirPath, fileName) : dirPath)
+      })
+      watcher.on('error', () => unwatchTree(dirPath))
+      watchers.set(dirPath, watcher)
+      dirents = fs.readdirSync(dirPath, { withFileTypes: true })
+    } catch (err) {
+      if (isNew && (err.code === 'ENOENT' || err.code === 'ENOTDIR')) {
+        // The directory was removed before it could be watched
+        unwatchTree(dirPath)
+        return
+      }
+      throw err
+    }
+    for (let dirent of dirents) {
+      const fullPath = path.join(dirPath, dirent.name)
+      if (directoryLib.isFilteredPath(basePath, fullPath, filters, dirent.isDirectory())) {
+        continue
+      }
+      if (dirent.isDirectory()) {
+        watchTree(fullPath, isNew)
+      } else if (isNew) {
+        addChange(fullPath)
+      }
+    }
+  }
+
+  /**
+   * @param {string} dirPath
+   * @returns {void}
+   */
+  function unwatchTree(dirPath) {
+    for (let [watchedPath, watcher] of watchers) {
+      if (watchedPath === dirPath || watchedPath.startsWith(`${dirPath}${path.sep}`)) {
+        watcher.close()
+        watchers.delete(watchedPath)
+      }
+    }
+  }
+
+  /**
+   * @param {string} fullPath
+   * @returns {void}
+   */
+  function handleChange(fullPath) {
+    if (closed) {
+      return
+    }
+    /** @type {(fs.Stats|void)} */
+    let stats
+    try {
+      stats = fs.statSync(fullPath)
+    } catch (err) {
+      // Removed
+      stats = undefined
+    }
+    if (directoryLib.isFilteredPath(basePath, fullPath, filters, Boolean(stats && stats.isDirectory()))) {
+      return
+    }
+    if (stats && stats.isDirectory()) {
+      watchTree(fullPath, true)
+      return
+    }
+    if (!stats) {
+      unwatchTree(fullPath)
+    }
+    addChange(fullPath)
+  }
+
+  /**
+   * @param {string} fullPath
+   * @returns {void}
+   */
+  function addChange(fullPath) {
+    changedPaths.add(fullPath)
+    if (timer) {
+      clearTimeout(timer)
+    }
+    timer = setTimeout(flush, debounce)
+  }
+
+  /**
+   * @returns {void}
+   */
+  function flush() {
+    timer = undefined
+    const filePaths = [...changedPaths]
+    changedPaths = new Set()
+    onChange(filePaths)
+  }
+
+  /**
+   * @returns {void}
+   */
+  function close() {
+    closed = true
+    if (timer) {
+      clearTimeout(timer)
+    }
+    watchers.forEach(watcher => watcher.close())
+    watchers.clear()
+  }
+}
+
+module.exports = {
+  watchDirectory
+}